@@ -0,0 +1,340 @@
+// calibration.js - Match probability calibrated from pairs the user has labelled
+import { CONFIG } from './config.js';
+import { debug } from './utils.js';
+
+export const CALIBRATION_METHODS = {
+  logistic: 'Logistic',
+  isotonic: 'Isotonic'
+};
+
+export const calibration = {
+  labels: [], // Array of {key, metric, method, alignFaces, distance, same}
+  models: {}, // Fitted model per comparison settings (see settingsKey)
+  loaded: false,
+
+  /**
+   * Restore labels and the fitted models from localStorage (once)
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(CONFIG.calibration.storageKey) || 'null');
+      if (stored) {
+        this.labels = Array.isArray(stored.labels) ? stored.labels : [];
+        this.models = stored.models || {};
+      }
+    } catch (err) {
+      console.warn('Stored calibration could not be read:', err.message);
+    }
+  },
+
+  /**
+   * Persist labels and the fitted models to localStorage
+   */
+  save() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(CONFIG.calibration.storageKey, JSON.stringify({ labels: this.labels, models: this.models }));
+    } catch (err) {
+      console.warn('Calibration could not be saved:', err.message);
+    }
+  },
+
+  /**
+   * Labels collected under the given comparison settings - the distance of a pair depends on the metric,
+   * the match method and face alignment, so only labels sharing all three are comparable
+   * @param {{metric: string, method: string, votesNeeded: number|null, alignFaces: boolean}} settings - Comparison settings
+   * @returns {Array<{key: string, metric: string, method: string, alignFaces: boolean, distance: number, same: boolean}>}
+   */
+  labelsFor(settings) {
+    this.load();
+    const key = settingsKey(settings);
+    return this.labels.filter(function(l) { return settingsKey(l) === key; });
+  },
+
+  /**
+   * Label of a reference/candidate pair, if the user gave one
+   * @param {string} key - Pair key (see pairKey)
+   * @param {Object} settings - Comparison settings of the result
+   * @returns {boolean|null} true for same person, false for different, null if unlabelled
+   */
+  labelFor(key, settings) {
+    const label = this.labelsFor(settings).find(function(l) { return l.key === key; });
+    return label ? label.same : null;
+  },
+
+  /**
+   * Label a pair as the same or a different person, replacing any earlier label for it under the same settings
+   * @param {string} key - Pair key (see pairKey)
+   * @param {Object} settings - Comparison settings of the result
+   * @param {number} distance - Descriptor distance of the result
+   * @param {boolean|null} same - true / false, or null to remove the label
+   */
+  setLabel(key, settings, distance, same) {
+    this.load();
+    const settingsId = settingsKey(settings);
+    this.labels = this.labels.filter(function(l) { return l.key !== key || settingsKey(l) !== settingsId; });
+    if (same !== null) {
+      this.labels.push({
+        key: key,
+        metric: settings.metric,
+        method: settings.method,
+        votesNeeded: settings.votesNeeded || null,
+        alignFaces: !!settings.alignFaces,
+        distance: distance,
+        same: same
+      });
+    }
+    this.save();
+  },
+
+  /**
+   * Number of labelled pairs of each kind
+   * @param {Object} settings - Comparison settings
+   * @returns {{same: number, different: number, total: number}}
+   */
+  counts(settings) {
+    const labels = this.labelsFor(settings);
+    const same = labels.filter(function(l) { return l.same; }).length;
+    return { same: same, different: labels.length - same, total: labels.length };
+  },
+
+  /**
+   * Fit a calibration to the pairs labelled under the given comparison settings and save it
+   * @param {string} method - Key of CALIBRATION_METHODS
+   * @param {Object} settings - Comparison settings
+   * @returns {Object} Fitted model
+   * @throws {Error} When there are too few labelled pairs
+   */
+  fit(method, settings) {
+    const counts = this.counts(settings);
+    const needed = CONFIG.calibration.minPerClass;
+    if (counts.total < CONFIG.calibration.minLabels || counts.same < needed || counts.different < needed) {
+      throw new Error('Label at least ' + CONFIG.calibration.minLabels + ' results, including ' + needed +
+        ' of the same person and ' + needed + ' of different people');
+    }
+
+    const labels = this.labelsFor(settings);
+    const model = method === 'isotonic' ? fitIsotonic(labels) : fitLogistic(labels);
+    model.metric = settings.metric;
+    this.models[settingsKey(settings)] = model;
+    debug('Calibration fitted', model);
+    this.save();
+    return model;
+  },
+
+  /**
+   * Fitted model for the given comparison settings
+   * @param {Object} settings - Comparison settings
+   * @returns {Object|null}
+   */
+  modelFor(settings) {
+    this.load();
+    return this.models[settingsKey(settings)] || null;
+  },
+
+  /**
+   * Remove all labels and fitted models
+   */
+  clear() {
+    this.labels = [];
+    this.models = {};
+    this.loaded = true;
+    this.save();
+  },
+
+  /**
+   * Calibrated probability that a pair at this distance is the same person
+   * @param {number} distance - Descriptor distance
+   * @param {Object} settings - Comparison settings the distance was measured with
+   * @returns {number|null} Probability (0-1), or null when no calibration has been fitted for these settings
+   */
+  probability(distance, settings) {
+    const model = this.modelFor(settings);
+    if (!model) return null;
+
+    if (model.method === 'logistic') {
+      return sigmoid(model.intercept + model.slope * distance);
+    }
+    return interpolate(model.points, distance);
+  },
+
+  /**
+   * One-line description of the model fitted for the given comparison settings
+   * @param {Object} settings - Comparison settings
+   * @returns {string} e.g. "Logistic fit on 14 labelled pairs, 50% at distance 0.531"
+   */
+  describe(settings) {
+    const model = this.modelFor(settings);
+    if (!model) return 'Not calibrated';
+
+    let text = CALIBRATION_METHODS[model.method] + ' fit on ' + model.sampleCount + ' labelled pairs';
+    if (model.method === 'logistic' && model.slope < 0) {
+      text += ', 50% at distance ' + (-model.intercept / model.slope).toFixed(3);
+    }
+    return text;
+  }
+};
+
+/**
+ * Content hash of a set of reference faces, independent of their order.
+ * Labels follow the faces themselves, so a new reference set or another photo with the same file name
+ * never picks up an old label.
+ * @param {Array<Float32Array>} refDescriptors - Descriptors of the selected reference faces
+ * @returns {string}
+ */
+export function referenceSetKey(refDescriptors) {
+  return hashString(refDescriptors.map(descriptorHash).sort().join(','));
+}
+
+/**
+ * Key identifying a reference set / candidate face pair, for labelling
+ * @param {string} referenceKey - Result of referenceSetKey
+ * @param {Float32Array} descriptor - Descriptor of the compared face
+ * @returns {string}
+ */
+export function pairKey(referenceKey, descriptor) {
+  return referenceKey + ':' + descriptorHash(descriptor);
+}
+
+/**
+ * Settings a labelled distance depends on, as one string
+ * @param {{metric: string, method: string, votesNeeded: number|null, alignFaces: boolean}} settings - Comparison settings
+ * @returns {string}
+ */
+function settingsKey(settings) {
+  return [
+    settings.metric,
+    settings.method + (settings.votesNeeded ? ':' + settings.votesNeeded : ''),
+    settings.alignFaces ? 'aligned' : 'unaligned'
+  ].join('|');
+}
+
+function descriptorHash(descriptor) {
+  // Rounded so the same face gives the same hash despite float noise between runs
+  return hashString(Array.from(descriptor, function(v) { return Math.round(v * 1e4); }).join(','));
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text to hash
+ * @returns {string} Hash as 8 hex digits
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Platt-style logistic regression of "same person" on distance, fitted with Newton's method.
+ * Targets are smoothed towards 0.5 by the class counts so perfectly separated labels still converge.
+ * @param {Array<{distance: number, same: boolean}>} samples - Labelled pairs
+ * @returns {{method: string, intercept: number, slope: number, sampleCount: number, fittedAt: number}}
+ *   p(same) = sigmoid(intercept + slope * distance)
+ */
+function fitLogistic(samples) {
+  const positives = samples.filter(function(s) { return s.same; }).length;
+  const negatives = samples.length - positives;
+  const high = (positives + 1) / (positives + 2);
+  const low = 1 / (negatives + 2);
+  const mean = samples.reduce(function(sum, s) { return sum + s.distance; }, 0) / samples.length;
+
+  // Fitted on centred distances for better conditioning
+  let a = 0;
+  let b = 0;
+  for (let iter = 0; iter < 100; iter++) {
+    let g0 = 0;
+    let g1 = 0;
+    let h00 = 1e-9;
+    let h01 = 0;
+    let h11 = 1e-9;
+
+    samples.forEach(function(s) {
+      const x = s.distance - mean;
+      const p = sigmoid(a + b * x);
+      const w = p * (1 - p);
+      const err = p - (s.same ? high : low);
+      g0 += err;
+      g1 += err * x;
+      h00 += w;
+      h01 += w * x;
+      h11 += w * x * x;
+    });
+
+    const det = h00 * h11 - h01 * h01;
+    if (det <= 0) break;
+    const da = (h11 * g0 - h01 * g1) / det;
+    const db = (h00 * g1 - h01 * g0) / det;
+    a -= da;
+    b -= db;
+    if (Math.abs(da) + Math.abs(db) < 1e-9) break;
+  }
+
+  return { method: 'logistic', intercept: a - b * mean, slope: b, sampleCount: samples.length, fittedAt: Date.now() };
+}
+
+/**
+ * Isotonic regression (pool adjacent violators) of "same person" on distance, non-increasing in distance.
+ * Each pooled block gets a Laplace-smoothed rate so a handful of labels never yields 0% or 100%.
+ * @param {Array<{distance: number, same: boolean}>} samples - Labelled pairs
+ * @returns {{method: string, points: Array<{distance: number, probability: number}>, sampleCount: number, fittedAt: number}}
+ */
+function fitIsotonic(samples) {
+  const sorted = samples.slice().sort(function(x, y) { return x.distance - y.distance; });
+
+  const blocks = [];
+  sorted.forEach(function(s) {
+    blocks.push({ same: s.same ? 1 : 0, count: 1, distanceSum: s.distance });
+    // Merge while a block is at least as "same" as the closer-distance block before it;
+    // pooling ties too gives larger blocks and so less smoothing
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.same / prev.count > last.same / last.count) break;
+      blocks.splice(blocks.length - 2, 2, {
+        same: prev.same + last.same,
+        count: prev.count + last.count,
+        distanceSum: prev.distanceSum + last.distanceSum
+      });
+    }
+  });
+
+  // Smoothing can reorder neighbouring blocks, so keep the curve non-increasing
+  let previous = 1;
+  const points = blocks.map(function(block) {
+    previous = Math.min(previous, (block.same + 1) / (block.count + 2));
+    return { distance: block.distanceSum / block.count, probability: previous };
+  });
+
+  return { method: 'isotonic', points: points, sampleCount: samples.length, fittedAt: Date.now() };
+}
+
+/**
+ * Piecewise-linear lookup, flat beyond the first and last points
+ * @param {Array<{distance: number, probability: number}>} points - Points sorted by distance
+ * @param {number} distance - Distance to look up
+ * @returns {number} Probability
+ */
+function interpolate(points, distance) {
+  if (distance <= points[0].distance) return points[0].probability;
+  for (let i = 1; i < points.length; i++) {
+    const p0 = points[i - 1];
+    const p1 = points[i];
+    if (distance <= p1.distance) {
+      const t = (distance - p0.distance) / (p1.distance - p0.distance);
+      return p0.probability + (p1.probability - p0.probability) * t;
+    }
+  }
+  return points[points.length - 1].probability;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
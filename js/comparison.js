@@ -1,42 +1,155 @@
 // comparison.js - Face similarity computation
 import { CONFIG } from './config.js';
+import { calibration } from './calibration.js';
+
+// Ways of combining the distances to several reference faces, as offered in the UI
+export const MATCH_METHODS = {
+  average: {
+    label: 'Average (recommended)',
+    description: 'Mean distance to all references. Stable, but one poor reference photo pulls every score down.'
+  },
+  weighted: {
+    label: 'Quality-weighted average',
+    description: 'Mean distance where each reference counts in proportion to its quality score, so blurry or badly lit references matter less.'
+  },
+  trimmed: {
+    label: 'Trimmed average',
+    description: 'Mean distance after dropping the reference that disagrees most (with 3 or more references).'
+  },
+  median: {
+    label: 'Median',
+    description: 'Middle distance. Ignores outliers on both sides.'
+  },
+  centroid: {
+    label: 'Centroid template',
+    description: 'Distance to one template averaged from the length-normalised references. Its spread shows how consistent the reference set is.'
+  },
+  vote: {
+    label: 'k-of-n vote',
+    description: 'Match only if at least k references agree on their own. Scored on the k-th closest reference.'
+  },
+  best: {
+    label: 'Best match',
+    description: 'Closest reference only. Finds hard matches, but is also the easiest to fool with a look-alike.'
+  }
+};
+
+// Similarity at the upper distance of each band, and the band's confidence label
+const BAND_SCORES = [95, 85, 70, 50];
+const BAND_LABELS = ['Very High', 'High', 'Good', 'Low', 'Very Low'];
+
+/**
+ * Distance between two face descriptors
+ * @param {Float32Array|Array<number>} a - First descriptor
+ * @param {Float32Array|Array<number>} b - Second descriptor
+ * @param {string} metric - 'euclidean', 'normalizedEuclidean' (descriptors scaled to unit length first)
+ *   or 'cosine' (1 - cosine similarity)
+ * @returns {number} Distance (0 for identical descriptors)
+ */
+export function descriptorDistance(a, b, metric = CONFIG.similarity.metric) {
+  if (metric === 'euclidean') return faceapi.euclideanDistance(a, b);
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  const cosine = normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+
+  // |a/|a| - b/|b||² = 2 - 2·cos
+  if (metric === 'normalizedEuclidean') return Math.sqrt(Math.max(0, 2 - 2 * cosine));
+  return 1 - cosine;
+}
+
+/**
+ * Confidence band limits for a metric
+ * @param {string} metric - Key of CONFIG.similarity.metrics
+ * @returns {{veryHigh: number, high: number, good: number, low: number}}
+ */
+export function metricThresholds(metric = CONFIG.similarity.metric) {
+  return CONFIG.similarity.thresholds[metric] || CONFIG.similarity.thresholds.euclidean;
+}
+
+/**
+ * Full threshold relaxation for an occluded region, in the units of a metric
+ * @param {string} region - 'eyes', 'lowerFace' or 'forehead'
+ * @param {string} metric - Key of CONFIG.similarity.metrics
+ * @returns {number}
+ */
+export function occlusionBaseAdjustment(region, metric = CONFIG.similarity.metric) {
+  const base = region === 'eyes' ? CONFIG.similarity.sunglassesAdjustment : CONFIG.similarity.occlusionAdjustments[region] || 0;
+  const info = CONFIG.similarity.metrics[metric];
+  return base * (info ? info.adjustmentScale : 1);
+}
+
+/**
+ * Threshold relaxation for each occluded face region, scaled by how strongly it is occluded
+ * @param {Object|boolean} occlusion - Occlusion strength (0-1) or flag per region ({eyes, lowerFace, forehead}),
+ *   or a sunglasses boolean
+ * @param {string} metric - Key of CONFIG.similarity.metrics
+ * @returns {Object<string, number>} Amount each region adds to every distance threshold (non-zero entries only)
+ */
+export function occlusionAdjustments(occlusion, metric = CONFIG.similarity.metric) {
+  if (typeof occlusion === 'boolean') occlusion = { eyes: occlusion };
+  const adjustments = {};
+  if (!occlusion) return adjustments;
+
+  ['eyes'].concat(Object.keys(CONFIG.similarity.occlusionAdjustments)).forEach(region => {
+    const strength = typeof occlusion[region] === 'number' ? Math.min(1, Math.max(0, occlusion[region])) : (occlusion[region] ? 1 : 0);
+    if (strength > 0) adjustments[region] = occlusionBaseAdjustment(region, metric) * strength;
+  });
+  return adjustments;
+}
+
+function sumAdjustments(adjustments) {
+  return Object.keys(adjustments).reduce((sum, region) => sum + adjustments[region], 0);
+}
 
 /**
  * Compute similarity between two faces based on descriptor distance
- * @param {number} distance - Euclidean distance between face descriptors (0-2 range typically)
- * @param {boolean} anySunglasses - Whether either face has sunglasses detected
- * @returns {{similarity: number, confidence: string, isMatch: boolean}}
+ * @param {number} distance - Distance between face descriptors, in the given metric
+ * @param {Object|boolean} occlusion - Occlusion strength (0-1) or flag per region for the pair of faces
+ *   ({eyes, lowerFace, forehead}), or a boolean for sunglasses only
+ * @param {string} metric - Metric the distance was measured in (selects the threshold set)
+ * @param {Object|null} calibrationSettings - Comparison settings (metric, method, alignment) to look up the
+ *   calibration fitted for them; null skips the calibrated probability
+ * @returns {{similarity: number, confidence: string, isMatch: boolean, thresholdAdjustment: number,
+ *   thresholdAdjustments: Object<string, number>, probability: number|null, metric: string}} thresholdAdjustments
+ *   breaks the total down by region; probability is the calibrated chance of the same person (null until calibrated)
  */
-export function computeSimilarity(distance, anySunglasses = false) {
-  const adjust = anySunglasses ? CONFIG.similarity.sunglassesAdjustment : 0;
-  const t = CONFIG.similarity.thresholds;
-  
-  let similarity, confidence, isMatch = false;
-  
-  if (distance < t.veryHigh + adjust) {
-    similarity = 95 + ((t.veryHigh + adjust) - distance) * 12.5;
-    confidence = 'Very High';
-    isMatch = true;
-  } else if (distance < t.high + adjust) {
-    similarity = 85 + ((t.high + adjust) - distance) * 100;
-    confidence = 'High';
-    isMatch = true;
-  } else if (distance < t.good + adjust) {
-    similarity = 70 + ((t.good + adjust) - distance) * 150;
-    confidence = 'Good';
-    isMatch = true;
-  } else if (distance < t.low + adjust) {
-    similarity = 50 + ((t.low + adjust) - distance) * 200;
-    confidence = 'Low';
-    isMatch = false;
+export function computeSimilarity(distance, occlusion = false, metric = CONFIG.similarity.metric, calibrationSettings = null) {
+  const adjustments = occlusionAdjustments(occlusion, metric);
+  const adjust = sumAdjustments(adjustments);
+  const t = metricThresholds(metric);
+  const limits = [t.veryHigh, t.high, t.good, t.low].map(limit => limit + adjust);
+
+  // Linear within each band; with the Euclidean defaults the slopes are 12.5, 100, 150, 200 and 100
+  let band = limits.findIndex(limit => distance < limit);
+  if (band === -1) band = limits.length;
+
+  let similarity;
+  if (band === 0) {
+    similarity = BAND_SCORES[0] + (limits[0] - distance) * (100 - BAND_SCORES[0]) / t.veryHigh;
+  } else if (band === limits.length) {
+    similarity = BAND_SCORES[band - 1] - (distance - limits[band - 1]) * 10 / (t.low - t.good);
   } else {
-    similarity = Math.max(0, 50 - (distance - (t.low + adjust)) * 100);
-    confidence = 'Very Low';
-    isMatch = false;
+    similarity = BAND_SCORES[band] + (limits[band] - distance) *
+      (BAND_SCORES[band - 1] - BAND_SCORES[band]) / (limits[band] - limits[band - 1]);
   }
-  
+
   similarity = Math.min(100, Math.max(0, similarity));
-  return { similarity, confidence, isMatch };
+  return {
+    similarity,
+    confidence: BAND_LABELS[band],
+    isMatch: band <= 2,
+    thresholdAdjustment: adjust,
+    thresholdAdjustments: adjustments,
+    probability: calibrationSettings ? calibration.probability(distance, calibrationSettings) : null,
+    metric
+  };
 }
 
 /**
@@ -63,25 +176,182 @@ export function averageDescriptors(descriptors) {
   return averaged;
 }
 
+/**
+ * Build a single template from several references: each descriptor is scaled to unit length so no reference
+ * dominates, the results are averaged, and the average is scaled back to the references' mean length
+ * @param {Array<Float32Array>} refDescriptors - Reference descriptors
+ * @param {string} metric - Distance metric used for the spread
+ * @returns {{descriptor: Float32Array, spread: number}} Template and mean distance of the references to it
+ */
+export function buildCentroidTemplate(refDescriptors, metric = CONFIG.similarity.metric) {
+  if (refDescriptors.length === 0) {
+    throw new Error('No reference descriptors provided');
+  }
+
+  const norms = refDescriptors.map(descriptorNorm);
+  const unit = refDescriptors.map((d, i) => scaleDescriptor(d, norms[i] > 0 ? 1 / norms[i] : 0));
+  const centroid = averageDescriptors(unit);
+  const centroidNorm = descriptorNorm(centroid);
+  const meanNorm = norms.reduce((sum, n) => sum + n, 0) / norms.length;
+  const descriptor = scaleDescriptor(centroid, centroidNorm > 0 ? meanNorm / centroidNorm : 0);
+
+  const spread = refDescriptors.reduce((sum, d) => sum + descriptorDistance(d, descriptor, metric), 0) / refDescriptors.length;
+  return { descriptor, spread };
+}
+
+/**
+ * Describe how consistent a reference set is from its centroid spread
+ * @param {number} spread - Mean distance of the references to their centroid
+ * @param {string} metric - Metric the spread was measured in
+ * @returns {string} 'consistent', 'varied' or 'inconsistent'
+ */
+export function describeTemplateSpread(spread, metric = CONFIG.similarity.metric) {
+  // Consistent and varied sets stay under three quarters of the 'very high' and 'good' match limits from their centroid
+  const t = metricThresholds(metric);
+  if (spread < t.veryHigh * 0.75) return 'consistent';
+  if (spread < t.good * 0.75) return 'varied';
+  return 'inconsistent';
+}
+
+/**
+ * Pairwise distances between reference faces, and the faces that sit far from the rest
+ * @param {Array<Float32Array>} refDescriptors - Descriptors of the selected reference faces
+ * @param {string} metric - Distance metric
+ * @returns {{matrix: Array<Array<number>>, medianDistances: Array<number>, outliers: Array<number>, limit: number}}
+ *   medianDistances holds each face's median distance to the others; outliers lists the indices of faces within
+ *   the metric's "good" match limit of fewer than half of the others and of fewer than the best-matching face
+ *   (so with no clear majority nothing is flagged), or of every face when no two faces match at all
+ */
+export function checkReferenceConsistency(refDescriptors, metric = CONFIG.similarity.metric) {
+  const matrix = refDescriptors.map(() => []);
+  refDescriptors.forEach((a, i) => {
+    matrix[i][i] = 0;
+    for (let j = i + 1; j < refDescriptors.length; j++) {
+      matrix[i][j] = matrix[j][i] = descriptorDistance(a, refDescriptors[j], metric);
+    }
+  });
+
+  const limit = metricThresholds(metric).good;
+  const medianDistances = matrix.map((row, i) => row.length > 1 ? median(row.filter((d, j) => j !== i)) : 0);
+  // Counting matches rather than comparing medians keeps one stranger from dragging a real pair over the limit
+  const matches = matrix.map((row, i) => row.filter((d, j) => j !== i && d <= limit).length);
+  const mostMatches = Math.max(0, ...matches);
+  const others = refDescriptors.length - 1;
+  const outliers = [];
+  matches.forEach((count, i) => {
+    if (mostMatches === 0 ? others > 0 : count * 2 < others && count < mostMatches) outliers.push(i);
+  });
+
+  return { matrix, medianDistances, outliers, limit };
+}
+
+/**
+ * Find the person who appears across most reference photos, for photos that also show other people.
+ * Every face is tried as a seed and scored by how many other photos hold a face within the "good" match limit;
+ * the best seed's matches are averaged into a template, and each photo's face nearest that template is picked.
+ * @param {Array<Array<Float32Array|null>>} photoDescriptors - Descriptors per reference photo (null for faces to skip)
+ * @param {string} metric - Distance metric
+ * @returns {{picks: Array<number>, photoCount: number}} Index of the picked face in each photo (-1 where the
+ *   person was not found), and the number of photos the person was found in
+ */
+export function pickCommonSubject(photoDescriptors, metric = CONFIG.similarity.metric) {
+  const limit = metricThresholds(metric).good;
+
+  // Closest face of a photo, if it is close enough to be the same person
+  const nearest = function(descriptor, faces) {
+    let best = null;
+    faces.forEach(function(face, index) {
+      if (!face) return;
+      const distance = descriptorDistance(descriptor, face, metric);
+      if (distance <= limit && (!best || distance < best.distance)) best = { index, distance };
+    });
+    return best;
+  };
+
+  let seed = null;
+  photoDescriptors.forEach(function(faces, p) {
+    faces.forEach(function(descriptor, i) {
+      if (!descriptor) return;
+      let photos = 1;
+      let total = 0;
+      photoDescriptors.forEach(function(others, q) {
+        if (q === p) return;
+        const match = nearest(descriptor, others);
+        if (match) {
+          photos++;
+          total += match.distance;
+        }
+      });
+      if (!seed || photos > seed.photos || (photos === seed.photos && total < seed.total)) {
+        seed = { descriptor, photos, total };
+      }
+    });
+  });
+
+  if (!seed) return { picks: photoDescriptors.map(() => -1), photoCount: 0 };
+
+  // A template of all the seed's matches is steadier than the seed face alone
+  const members = [];
+  photoDescriptors.forEach(function(faces) {
+    const match = nearest(seed.descriptor, faces);
+    if (match) members.push(faces[match.index]);
+  });
+  const template = buildCentroidTemplate(members, metric).descriptor;
+
+  const picks = photoDescriptors.map(function(faces) {
+    const match = nearest(template, faces);
+    return match ? match.index : -1;
+  });
+  return { picks, photoCount: picks.filter(i => i !== -1).length };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function descriptorNorm(descriptor) {
+  let sum = 0;
+  for (let i = 0; i < descriptor.length; i++) sum += descriptor[i] * descriptor[i];
+  return Math.sqrt(sum);
+}
+
+function scaleDescriptor(descriptor, factor) {
+  const scaled = new Float32Array(descriptor.length);
+  for (let i = 0; i < descriptor.length; i++) scaled[i] = descriptor[i] * factor;
+  return scaled;
+}
+
 /**
  * Compute similarity using multiple reference descriptors (ensemble approach)
  * @param {Array<Float32Array>} refDescriptors - Array of reference descriptors
  * @param {Float32Array} compareDescriptor - Descriptor to compare
- * @param {boolean} anySunglasses - Whether any face has sunglasses
- * @param {string} method - 'average', 'best', or 'median'
- * @returns {{similarity: number, confidence: string, isMatch: boolean, distances: Array<number>}}
+ * @param {Object|boolean} occlusion - Regions occluded in any face (see computeSimilarity)
+ * @param {string} method - Key of MATCH_METHODS
+ * @param {string} metric - Distance metric (see descriptorDistance)
+ * @param {Object} options - Method options
+ * @param {Array<number>} options.weights - Weight per reference for 'weighted' (e.g. face quality); equal if missing
+ * @param {number} options.votesNeeded - References that must match on their own for 'vote' (k)
+ * @param {{descriptor: Float32Array}} options.template - Prebuilt centroid template for 'centroid' (see buildCentroidTemplate)
+ * @param {Object} options.calibration - Comparison settings for the calibrated probability (see computeSimilarity)
+ * @returns {{similarity: number, confidence: string, isMatch: boolean, distances: Array<number>,
+ *   votes: {agree: number, needed: number}|null}} votes is only set for 'vote'; distances are always per reference
  */
-export function computeMultiReferenceSimilarity(refDescriptors, compareDescriptor, anySunglasses = false, method = 'average') {
+export function computeMultiReferenceSimilarity(refDescriptors, compareDescriptor, occlusion = false, method = 'average', metric = CONFIG.similarity.metric, options = {}) {
   if (refDescriptors.length === 0) {
     throw new Error('No reference descriptors provided');
   }
   
   // Calculate distance to each reference
   const distances = refDescriptors.map(refDesc => 
-    faceapi.euclideanDistance(refDesc, compareDescriptor)
+    descriptorDistance(refDesc, compareDescriptor, metric)
   );
   
   let finalDistance;
+  let votes = null;
+  const sorted = [...distances].sort((a, b) => a - b);
+  const mean = values => values.reduce((sum, d) => sum + d, 0) / values.length;
   
   switch (method) {
     case 'best':
@@ -91,27 +361,57 @@ export function computeMultiReferenceSimilarity(refDescriptors, compareDescripto
       
     case 'median':
       // Use median distance
-      const sorted = [...distances].sort((a, b) => a - b);
-      const mid = Math.floor(sorted.length / 2);
-      finalDistance = sorted.length % 2 === 0 
-        ? (sorted[mid - 1] + sorted[mid]) / 2 
-        : sorted[mid];
+      finalDistance = median(distances);
+      break;
+
+    case 'weighted': {
+      // References without a usable weight are left out; if none has one, all count equally
+      const weights = distances.map((d, i) => {
+        const w = options.weights ? options.weights[i] : 1;
+        return typeof w === 'number' && w > 0 ? w : 0;
+      });
+      const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+      finalDistance = totalWeight > 0
+        ? distances.reduce((sum, d, i) => sum + d * weights[i], 0) / totalWeight
+        : mean(distances);
+      break;
+    }
+
+    case 'trimmed':
+      // Drop the furthest reference; with fewer than 3 that would leave a single "best" reference
+      finalDistance = mean(sorted.length >= 3 ? sorted.slice(0, -1) : sorted);
       break;
+
+    case 'vote': {
+      // At least k references match on their own exactly when the k-th closest one does
+      const needed = Math.min(Math.max(1, Math.round(options.votesNeeded || CONFIG.similarity.votesNeeded)), sorted.length);
+      finalDistance = sorted[needed - 1];
+      const goodLimit = metricThresholds(metric).good + sumAdjustments(occlusionAdjustments(occlusion, metric));
+      votes = { agree: distances.filter(d => d < goodLimit).length, needed: needed };
+      break;
+    }
+      
+    case 'centroid': {
+      const template = options.template || buildCentroidTemplate(refDescriptors, metric);
+      finalDistance = descriptorDistance(template.descriptor, compareDescriptor, metric);
+      break;
+    }
       
     case 'average':
     default:
       // Use average distance
-      finalDistance = distances.reduce((sum, d) => sum + d, 0) / distances.length;
+      finalDistance = mean(distances);
       break;
   }
   
-  const result = computeSimilarity(finalDistance, anySunglasses);
+  const result = computeSimilarity(finalDistance, occlusion, metric, options.calibration || null);
   
   return {
     ...result,
     distances,
     finalDistance,
     method,
+    votes,
     referenceCount: refDescriptors.length
   };
 }
@@ -121,16 +421,18 @@ export function computeMultiReferenceSimilarity(refDescriptors, compareDescripto
  * @param {Float32Array} refDescriptor - Reference face descriptor
  * @param {Array} comparisons - Array of comparison objects with faces
  * @param {boolean} refHasSunglasses - Whether reference face has sunglasses
+ * @param {string} metric - Distance metric (see descriptorDistance)
+ * @param {Object|null} calibrationSettings - Comparison settings for the calibrated probability (see computeSimilarity)
  * @returns {Array} Array of similarity results
  */
-export function computeAllSimilarities(refDescriptor, comparisons, refHasSunglasses = false) {
+export function computeAllSimilarities(refDescriptor, comparisons, refHasSunglasses = false, metric = CONFIG.similarity.metric, calibrationSettings = null) {
   const results = [];
   
   comparisons.forEach((comp, imgIndex) => {
     comp.faces.forEach((face, faceIndex) => {
-      const distance = faceapi.euclideanDistance(refDescriptor, face.descriptor);
+      const distance = descriptorDistance(refDescriptor, face.descriptor, metric);
       const anySunglasses = refHasSunglasses || face.hasSunglasses;
-      const { similarity, confidence, isMatch } = computeSimilarity(distance, anySunglasses);
+      const { similarity, confidence, isMatch, probability } = computeSimilarity(distance, anySunglasses, metric, calibrationSettings);
       
       results.push({
         fileName: comp.file.name,
@@ -139,7 +441,9 @@ export function computeAllSimilarities(refDescriptor, comparisons, refHasSunglas
         similarity,
         confidence,
         isMatch,
+        probability,
         distance,
+        metric,
         hasSunglasses: face.hasSunglasses,
         referenceSunglasses: refHasSunglasses,
         refAge: face.refAge,
@@ -5,31 +5,170 @@ export const CONFIG = {
     scoreThreshold: 0.15,
     maxImageSize: 3000,
     fallbackToSSD: true,
-    minFaceSize: 15
+    minFaceSize: 15,
+    // Tiled detection (yearbook mode): tiles match the SSD input size so tiny faces keep full resolution
+    tileSize: 512,
+    tileOverlap: 128,
+    tileMergeIoU: 0.3,
+    // Ensemble mode: Tiny detector passes run next to SSD, fused by score-weighted NMS
+    ensembleInputSizes: [416, 608], // Must be multiples of 32
+    ensembleIoU: 0.4,
+    // Rotate each face to level eyes before computing its descriptor
+    alignFaces: true,
+    alignedChipSize: 150,
+    // Small faces get new landmarks and descriptors from an upscaled crop of the original image
+    refineSmallFaces: true,
+    refineBelow: 80,        // Face size (px at detection resolution) below which faces are refined
+    refineSize: 160,        // Target face size in the upscaled crop
+    refineMaxUpscale: 4,
+    refinePadding: 0.4,     // Context around the face box, as a fraction of its size
+    // Clockwise rotations tried, in order, when a photo has no faces upright ([] disables)
+    retryRotations: [90, 270, 180],
+    // On re-detection, new faces overlapping an earlier face by at least this IoU take its selection,
+    // and those overlapping a deleted or hand-corrected face are dropped
+    redetectIoU: 0.3
+  },
+  enhancement: {
+    // Preset applied before detection unless an image picks its own (key of presets)
+    default: 'none',
+    claheTiles: 8,
+    claheClipLimit: 2.5,
+    presets: {
+      none: { label: 'None' },
+      lowLight: { label: 'Low light', gamma: 'auto', clahe: true },
+      backlit: { label: 'Backlit', clahe: true },
+      brighten: { label: 'Brighten (gamma)', gamma: 'auto' },
+      scan: { label: 'Old scan', grayscale: true, clahe: true }
+    }
+  },
+  occlusion: {
+    threshold: 0.6, // Region score above which nose/mouth or forehead counts as covered
+    // Scores of covered regions are mapped to an adjustment strength rising linearly from 0 to 1 across this range;
+    // it starts at the detection cut-offs so faces not flagged as covered never relax the thresholds
+    adjustmentRamp: [0.6, 0.9]
+  },
+  quality: {
+    analysisSize: 96,            // Face regions are resampled to this size before measuring
+    sharpVariance: 300,          // Laplacian variance at which a face counts as fully sharp
+    targetContrast: 45,          // Luminance standard deviation for full contrast score
+    brightnessRange: [70, 190],  // Mean luminance that counts as well exposed
+    confidentDetection: 0.6,     // Detector score above which detection confidence is not reported as limiting quality
+    // Largest fraction of the quality score each image metric can remove
+    penalties: {
+      sharpness: 0.5,
+      exposure: 0.4,
+      contrast: 0.3
+    }
   },
   similarity: {
+    metric: 'euclidean', // Default descriptor distance, a key of metrics
+    metrics: {
+      euclidean: { label: 'Euclidean', adjustmentScale: 1 },
+      normalizedEuclidean: { label: 'Normalised Euclidean', adjustmentScale: 1 },
+      // Cosine distance is about d²/2 of the normalised distance, so adjustments shrink by its slope at the match limit
+      cosine: { label: 'Cosine', adjustmentScale: 0.6 }
+    },
+    // Upper distance of each confidence band, per metric
     thresholds: {
-      veryHigh: 0.4,
-      high: 0.5,
-      good: 0.6,
-      low: 0.7
+      euclidean: { veryHigh: 0.4, high: 0.5, good: 0.6, low: 0.7 },
+      normalizedEuclidean: { veryHigh: 0.4, high: 0.5, good: 0.6, low: 0.7 },
+      cosine: { veryHigh: 0.08, high: 0.125, good: 0.18, low: 0.245 }
     },
+    // Occlusion adjustments are in Euclidean units and scaled by the metric's adjustmentScale
     sunglassesAdjustment: 0.1,
-    multiReferenceMethod: 'best' // Options: 'average', 'best', 'median'
+    // Threshold relaxation when the nose/mouth or forehead is covered (eyes use sunglassesAdjustment)
+    occlusionAdjustments: {
+      lowerFace: 0.12,
+      forehead: 0.04
+    },
+    multiReferenceMethod: 'best', // Options: 'average', 'weighted', 'trimmed', 'median', 'vote', 'centroid', 'best'
+    votesNeeded: 2 // Default k for the 'vote' method
+  },
+  calibration: {
+    storageKey: 'faceCompare.calibration',
+    method: 'logistic', // 'logistic' or 'isotonic'
+    minLabels: 6, // Labelled pairs needed before a calibration can be fitted...
+    minPerClass: 2 // ...with at least this many of both "same" and "different"
+  },
+  thresholdProfiles: {
+    storageKey: 'faceCompare.thresholdProfiles',
+    // Built in alongside "Default" (the values in this file); user profiles are saved to localStorage
+    presets: {
+      'Strict forensic': {
+        thresholds: {
+          euclidean: { veryHigh: 0.35, high: 0.42, good: 0.5, low: 0.6 },
+          normalizedEuclidean: { veryHigh: 0.35, high: 0.42, good: 0.5, low: 0.6 },
+          cosine: { veryHigh: 0.061, high: 0.088, good: 0.125, low: 0.18 }
+        },
+        matchThreshold: 80,
+        zipThresholds: [80, 85, 90, 95]
+      },
+      'Lenient yearbook': {
+        thresholds: {
+          euclidean: { veryHigh: 0.45, high: 0.55, good: 0.65, low: 0.75 },
+          normalizedEuclidean: { veryHigh: 0.45, high: 0.55, good: 0.65, low: 0.75 },
+          cosine: { veryHigh: 0.101, high: 0.151, good: 0.211, low: 0.281 }
+        },
+        matchThreshold: 50,
+        zipThresholds: [50, 60, 70, 80]
+      }
+    }
   },
   export: {
     matchThreshold: 60,
+    zipThresholds: [60, 75, 80, 90], // Similarity cut-offs offered as ZIP export buttons
     tileSize: 160,
     columns: 3,
     padding: 20,
-    gap: 14
+    gap: 14,
+    sheetScale: 3, // Pixel density of the match sheet relative to its layout size
+    includeFaceCrops: false
   },
   ui: {
     displayMaxWidth: 600,
     displayMaxHeight: 400,
     comparisonMaxWidth: 500,
     comparisonMaxHeight: 400,
-    maxReferencePhotos: 5
+    thumbnailMaxSize: 200,
+    maxReferencePhotos: 5,
+    // Initial quality slider positions; faces below the slider are kept but greyed out and not compared
+    qualityThreshold: 30,
+    yearbookQualityThreshold: 15,
+    childAgeLimit: 16 // "Exclude children" hides faces estimated younger than this
+  },
+  models: {
+    // 'auto' tries customUrl, then localPath, then cdnUrl; or pin one of 'local', 'custom', 'cdn'.
+    // A ?models=<url> query parameter overrides this for a single session.
+    source: 'auto',
+    localPath: 'models/',
+    customUrl: '',
+    cdnUrl: 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.12/model/',
+    useCache: true,
+    cacheName: 'facecompare-models-v1'
+  },
+  worker: {
+    // Run detection in Web Workers (falls back to the main thread when unsupported)
+    enabled: true,
+    // Each worker loads its own copy of every model: ~13 MB of quantised weights, ~50 MB once
+    // dequantised to float32, plus the TF.js backend and working tensors - roughly 70-100 MB per worker
+    maxWorkers: 3,
+    memoryPerWorker: 2,   // GB of reported device memory (navigator.deviceMemory) per worker
+    defaultWorkers: 2     // Pool size limit when the browser does not report device memory
+  },
+  libraries: {
+    // Each library is tried from the local vendor/ folder first, then the CDN
+    faceApi: {
+      global: 'faceapi',
+      sources: ['vendor/face-api.min.js', 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js']
+    },
+    jsPDF: {
+      global: 'jspdf',
+      sources: ['vendor/jspdf.umd.min.js', 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js']
+    },
+    jsZip: {
+      global: 'JSZip',
+      sources: ['vendor/jszip.min.js', 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js']
+    }
   },
   keyboard: {
     compare: 'c',
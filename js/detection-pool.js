@@ -0,0 +1,194 @@
+// detection-pool.js - Dispatches face detection to Web Workers, with a main-thread fallback
+import { CONFIG } from './config.js';
+import { debug } from './utils.js';
+import { faceService } from './face-service.js';
+import { resolveModelSources } from './model-loader.js';
+
+const WORKER_URL = new URL('./detection-worker.js', import.meta.url);
+
+export const detectionPool = {
+  workers: [],
+  useWorkers: false,
+  nextRequestId: 1,
+
+  /**
+   * Number of images that can usefully be processed at the same time
+   * @returns {number}
+   */
+  get concurrency() {
+    return this.useWorkers ? this.workers.length : 1;
+  },
+
+  /**
+   * Load models into the worker pool, or on the main thread when workers are unavailable
+   * @param {Function} onProgress - Callback with (percentage, statusText)
+   * @param {Object} options - Loading options
+   * @param {FileList} options.folderFiles - Model files from a user-selected folder
+   */
+  async loadModels(onProgress = (p, txt) => {}, options = {}) {
+    const sources = resolveModelSources(options.folderFiles);
+    this.terminate();
+
+    if (CONFIG.worker.enabled && supportsWorkerDetection()) {
+      try {
+        await this.startWorkers(sources, onProgress);
+        this.useWorkers = true;
+        debug('Detection running in ' + this.workers.length + ' worker(s)');
+        return;
+      } catch (err) {
+        this.terminate();
+        if (err.modelError) throw err;
+        console.warn('Worker detection unavailable, falling back to main thread:', err.message);
+      }
+    }
+
+    this.useWorkers = false;
+    await faceService.loadModels(onProgress, { sources: sources });
+  },
+
+  /**
+   * Detect all faces in an image, using the least busy worker
+   * @param {HTMLImageElement|HTMLCanvasElement} input - Image or canvas to detect faces in
+   * @param {Object} options - Detection options (see faceService.detectAllFaces)
+   * @returns {Promise<Array>} Plain face detections
+   */
+  async detectAllFaces(input, options = {}) {
+    if (!this.useWorkers) {
+      return faceService.detectAllFaces(input, options);
+    }
+
+    const bitmap = await createImageBitmap(input);
+    return this.request(this.leastBusyWorker(), 'detect', { bitmap: bitmap, options: options }, null, [bitmap]);
+  },
+
+  /**
+   * Describe a hand-marked face region, using the least busy worker
+   * @param {HTMLImageElement|HTMLCanvasElement} input - Image the box refers to
+   * @param {{x: number, y: number, width: number, height: number}} box - Face region in image pixels
+   * @returns {Promise<Object>} Plain detection marked as manual
+   */
+  async describeFaceRegion(input, box) {
+    if (!this.useWorkers) {
+      return faceService.describeFaceRegion(input, box);
+    }
+
+    const bitmap = await createImageBitmap(input);
+    return this.request(this.leastBusyWorker(), 'describe', { bitmap: bitmap, box: box }, null, [bitmap]);
+  },
+
+  /**
+   * Pick the worker with the fewest pending requests
+   * @returns {Object} Pool entry
+   */
+  leastBusyWorker() {
+    return this.workers.reduce(function(best, w) {
+      return w.pending.size < best.pending.size ? w : best;
+    });
+  },
+
+  /**
+   * Spawn the pool; the first worker fills the model cache that the others then read
+   * @param {Array} sources - Resolved model sources
+   * @param {Function} onProgress - Progress callback for the first worker
+   */
+  async startWorkers(sources, onProgress) {
+    const payload = {
+      libraries: CONFIG.libraries.faceApi.sources.map(function(src) {
+        return new URL(src, window.location.href).href;
+      }),
+      sources: sources
+    };
+
+    await this.request(this.spawnWorker(), 'init', payload, onProgress);
+
+    const size = poolSize();
+    const rest = [];
+    for (let i = 1; i < size; i++) {
+      rest.push(this.request(this.spawnWorker(), 'init', payload));
+    }
+    await Promise.all(rest);
+  },
+
+  /**
+   * Create a worker and route its messages to pending requests
+   * @returns {{worker: Worker, pending: Map}} Pool entry
+   */
+  spawnWorker() {
+    const entry = { worker: new Worker(WORKER_URL), pending: new Map() };
+
+    entry.worker.onmessage = function(e) {
+      const msg = e.data;
+      const request = entry.pending.get(msg.id);
+      if (!request) return;
+
+      if (msg.type === 'progress') {
+        if (request.onProgress) request.onProgress(msg.progress, msg.text);
+        return;
+      }
+
+      entry.pending.delete(msg.id);
+      if (msg.type === 'error') {
+        const err = new Error(msg.error);
+        err.modelError = msg.modelError;
+        request.reject(err);
+      } else {
+        request.resolve(msg.result);
+      }
+    };
+
+    entry.worker.onerror = function(e) {
+      e.preventDefault();
+      const err = new Error('Detection worker failed: ' + (e.message || 'unknown error'));
+      entry.pending.forEach(function(request) { request.reject(err); });
+      entry.pending.clear();
+    };
+
+    this.workers.push(entry);
+    return entry;
+  },
+
+  /**
+   * Send a request to a worker
+   * @param {Object} entry - Pool entry
+   * @param {string} type - Request type ('init' or 'detect')
+   * @param {Object} payload - Request payload
+   * @param {Function} onProgress - Optional progress callback
+   * @param {Array<Transferable>} transfer - Objects to transfer
+   * @returns {Promise<any>} Worker result
+   */
+  request(entry, type, payload, onProgress, transfer) {
+    const id = this.nextRequestId++;
+    return new Promise(function(resolve, reject) {
+      entry.pending.set(id, { resolve: resolve, reject: reject, onProgress: onProgress });
+      entry.worker.postMessage({ id: id, type: type, payload: payload }, transfer || []);
+    });
+  },
+
+  /**
+   * Stop all workers
+   */
+  terminate() {
+    this.workers.forEach(function(entry) { entry.worker.terminate(); });
+    this.workers = [];
+    this.useWorkers = false;
+  }
+};
+
+/**
+ * Number of workers to run: one core is left to the page, and since every worker holds a full copy
+ * of the models the pool is also limited by device memory
+ * @returns {number}
+ */
+function poolSize() {
+  const byCores = (navigator.hardwareConcurrency || 2) - 1;
+  const byMemory = navigator.deviceMemory
+    ? Math.floor(navigator.deviceMemory / CONFIG.worker.memoryPerWorker)
+    : CONFIG.worker.defaultWorkers;
+  return Math.max(1, Math.min(CONFIG.worker.maxWorkers, byCores, byMemory));
+}
+
+function supportsWorkerDetection() {
+  return typeof Worker !== 'undefined' &&
+         typeof OffscreenCanvas !== 'undefined' &&
+         typeof createImageBitmap !== 'undefined';
+}
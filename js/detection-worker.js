@@ -0,0 +1,97 @@
+// detection-worker.js - Runs the face detection pipeline off the main thread
+// Loaded as a classic worker so face-api.js (UMD) can come in through importScripts;
+// the app's ES modules are pulled in with dynamic import() once faceapi exists.
+
+let faceService = null;
+
+self.onmessage = async function(e) {
+  const { id, type, payload } = e.data;
+
+  try {
+    let result;
+    let transfer = [];
+
+    switch (type) {
+      case 'init':
+        result = await init(id, payload);
+        break;
+
+      case 'detect':
+        result = await faceService.detectAllFaces(payload.bitmap, payload.options);
+        payload.bitmap.close();
+        transfer = result.map(d => d.descriptor.buffer);
+        break;
+
+      case 'describe':
+        result = await faceService.describeFaceRegion(payload.bitmap, payload.box);
+        payload.bitmap.close();
+        transfer = [result.descriptor.buffer];
+        break;
+
+      default:
+        throw new Error('Unknown detection worker request: ' + type);
+    }
+
+    self.postMessage({ id: id, type: 'result', result: result }, transfer);
+  } catch (err) {
+    self.postMessage({ id: id, type: 'error', error: err.message, modelError: !!err.modelError });
+  }
+};
+
+/**
+ * Load face-api.js and the models inside this worker
+ * @param {number} id - Request id used for progress messages
+ * @param {{libraries: Array<string>, sources: Array}} payload - Absolute library URLs and model sources
+ * @returns {Promise<Object>} Where each model was loaded from
+ */
+async function init(id, payload) {
+  loadFaceApi(payload.libraries);
+  patchEnvironment();
+
+  faceService = (await import('./face-service.js')).faceService;
+
+  try {
+    await faceService.loadModels(function(p, txt) {
+      self.postMessage({ id: id, type: 'progress', progress: p, text: txt });
+    }, { sources: payload.sources });
+  } catch (err) {
+    // Model errors are reported as-is; falling back to the main thread would not help
+    err.modelError = true;
+    throw err;
+  }
+
+  return faceService.modelSources;
+}
+
+function loadFaceApi(libraries) {
+  for (const src of libraries) {
+    try {
+      importScripts(src);
+      if (typeof faceapi !== 'undefined') return;
+    } catch (e) {
+      // Try the next source
+    }
+  }
+  throw new Error('faceapi could not be loaded in worker from ' + libraries.join(' or '));
+}
+
+/**
+ * face-api.js only knows browser and Node environments, so describe the worker to it
+ */
+function patchEnvironment() {
+  const Unsupported = function() {
+    throw new Error('Not available in a detection worker');
+  };
+
+  faceapi.env.setEnv({
+    Canvas: OffscreenCanvas,
+    CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+    Image: ImageBitmap,
+    ImageData: ImageData,
+    Video: Unsupported,
+    createCanvasElement: function() { return new OffscreenCanvas(1, 1); },
+    createImageElement: Unsupported,
+    fetch: self.fetch.bind(self),
+    readFile: Unsupported
+  });
+}
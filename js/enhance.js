@@ -0,0 +1,218 @@
+// enhance.js - Low-light and contrast enhancement applied before detection
+import { CONFIG } from './config.js';
+import { createCanvas, clamp } from './utils.js';
+
+/**
+ * Whether a set of enhancement settings changes the image at all
+ * @param {{grayscale: boolean, gamma: number|string, clahe: boolean}} settings - Enhancement settings
+ * @returns {boolean}
+ */
+export function hasEnhancement(settings) {
+  return !!settings && (!!settings.grayscale || !!settings.clahe || (settings.gamma !== undefined && settings.gamma !== 1));
+}
+
+/**
+ * Look up the enhancement settings for a preset key
+ * @param {string} key - Key of CONFIG.enhancement.presets
+ * @returns {Object|null} Settings, or null for 'none' or unknown keys
+ */
+export function enhancementPreset(key) {
+  const preset = CONFIG.enhancement.presets[key];
+  return preset && hasEnhancement(preset) ? preset : null;
+}
+
+/**
+ * Draw an image into a new canvas with grayscale normalisation, gamma correction and CLAHE applied (in that order)
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas} source - Image to enhance
+ * @param {Object} settings - Enhancement settings
+ * @param {boolean} settings.grayscale - Convert to gray and stretch levels (faded scans)
+ * @param {number|string} settings.gamma - Gamma exponent, or 'auto' to bring mean brightness to mid-grey
+ * @param {boolean} settings.clahe - Contrast-limited adaptive histogram equalisation on luminance
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Enhanced copy of the image
+ */
+export function enhanceImage(source, settings) {
+  const canvas = createCanvas(source.width, source.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  if (!hasEnhancement(settings)) return canvas;
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const data = imageData.data;
+
+  if (settings.grayscale) normalizeGrayscale(data);
+  if (settings.gamma !== undefined && settings.gamma !== 1) applyGamma(data, settings.gamma);
+  if (settings.clahe) {
+    applyClahe(data, canvas.width, canvas.height, CONFIG.enhancement.claheTiles, CONFIG.enhancement.claheClipLimit);
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Convert to grayscale and stretch the 1st-99th percentile of levels to the full range
+ * @param {Uint8ClampedArray} data - RGBA pixels, modified in place
+ */
+function normalizeGrayscale(data) {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < data.length; i += 4) {
+    const y = Math.round(luminance(data, i));
+    data[i] = data[i + 1] = data[i + 2] = y;
+    histogram[y]++;
+  }
+
+  const pixels = data.length / 4;
+  const low = percentile(histogram, pixels * 0.01);
+  const high = percentile(histogram, pixels * 0.99);
+  if (high <= low) return;
+
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    lut[v] = (v - low) * 255 / (high - low);
+  }
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i + 1] = data[i + 2] = lut[data[i]];
+  }
+}
+
+/**
+ * Apply gamma correction to every channel
+ * @param {Uint8ClampedArray} data - RGBA pixels, modified in place
+ * @param {number|string} gamma - Exponent (below 1 brightens), or 'auto'
+ */
+function applyGamma(data, gamma) {
+  if (gamma === 'auto') {
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 4) sum += luminance(data, i);
+    const mean = clamp(sum / (data.length / 4) / 255, 0.01, 0.99);
+    gamma = clamp(Math.log(0.5) / Math.log(mean), 0.4, 2.5);
+  }
+
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    lut[v] = Math.pow(v / 255, gamma) * 255;
+  }
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lut[data[i]];
+    data[i + 1] = lut[data[i + 1]];
+    data[i + 2] = lut[data[i + 2]];
+  }
+}
+
+/**
+ * Contrast-limited adaptive histogram equalisation on luminance, preserving colour ratios
+ * @param {Uint8ClampedArray} data - RGBA pixels, modified in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} tiles - Tiles per side
+ * @param {number} clipLimit - Histogram clip limit, as a multiple of the mean bin count
+ */
+function applyClahe(data, width, height, tiles, clipLimit) {
+  const tilesX = Math.max(1, Math.min(tiles, Math.floor(width / 8)));
+  const tilesY = Math.max(1, Math.min(tiles, Math.floor(height / 8)));
+  const tileW = width / tilesX;
+  const tileH = height / tilesY;
+
+  const lum = new Uint8Array(width * height);
+  for (let p = 0; p < lum.length; p++) {
+    lum[p] = Math.round(luminance(data, p * 4));
+  }
+
+  // One equalisation curve per tile
+  const luts = [];
+  for (let ty = 0; ty < tilesY; ty++) {
+    for (let tx = 0; tx < tilesX; tx++) {
+      const x0 = Math.floor(tx * tileW);
+      const x1 = Math.floor((tx + 1) * tileW);
+      const y0 = Math.floor(ty * tileH);
+      const y1 = Math.floor((ty + 1) * tileH);
+
+      const histogram = new Uint32Array(256);
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) histogram[lum[y * width + x]]++;
+      }
+      luts.push(clippedEqualization(histogram, (x1 - x0) * (y1 - y0), clipLimit));
+    }
+  }
+
+  // Bilinear blend of the four surrounding tile curves avoids visible tile edges
+  for (let y = 0; y < height; y++) {
+    const gy = clamp((y + 0.5) / tileH - 0.5, 0, tilesY - 1);
+    const ty0 = Math.floor(gy);
+    const ty1 = Math.min(ty0 + 1, tilesY - 1);
+    const fy = gy - ty0;
+
+    for (let x = 0; x < width; x++) {
+      const gx = clamp((x + 0.5) / tileW - 0.5, 0, tilesX - 1);
+      const tx0 = Math.floor(gx);
+      const tx1 = Math.min(tx0 + 1, tilesX - 1);
+      const fx = gx - tx0;
+
+      const p = y * width + x;
+      const v = lum[p];
+      const top = luts[ty0 * tilesX + tx0][v] * (1 - fx) + luts[ty0 * tilesX + tx1][v] * fx;
+      const bottom = luts[ty1 * tilesX + tx0][v] * (1 - fx) + luts[ty1 * tilesX + tx1][v] * fx;
+      const mapped = top * (1 - fy) + bottom * fy;
+
+      const i = p * 4;
+      if (v === 0) {
+        data[i] = data[i + 1] = data[i + 2] = mapped;
+      } else {
+        const gain = mapped / v;
+        data[i] = data[i] * gain;
+        data[i + 1] = data[i + 1] * gain;
+        data[i + 2] = data[i + 2] * gain;
+      }
+    }
+  }
+}
+
+/**
+ * Build an equalisation curve from a histogram whose peaks are clipped and redistributed
+ * @param {Uint32Array} histogram - 256-bin histogram
+ * @param {number} pixels - Number of pixels in the histogram
+ * @param {number} clipLimit - Clip limit as a multiple of the mean bin count
+ * @returns {Float32Array} Mapping from input to output level
+ */
+function clippedEqualization(histogram, pixels, clipLimit) {
+  const lut = new Float32Array(256);
+  if (pixels === 0) {
+    for (let v = 0; v < 256; v++) lut[v] = v;
+    return lut;
+  }
+
+  const limit = Math.max(1, clipLimit * pixels / 256);
+  let excess = 0;
+  const clipped = new Float32Array(256);
+  for (let v = 0; v < 256; v++) {
+    clipped[v] = Math.min(histogram[v], limit);
+    excess += histogram[v] - clipped[v];
+  }
+
+  const bonus = excess / 256;
+  let cumulative = 0;
+  for (let v = 0; v < 256; v++) {
+    cumulative += clipped[v] + bonus;
+    lut[v] = cumulative * 255 / pixels;
+  }
+  return lut;
+}
+
+function luminance(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+/**
+ * Level below which a given number of pixels fall
+ * @param {Uint32Array} histogram - 256-bin histogram
+ * @param {number} count - Pixel count
+ * @returns {number} Level (0-255)
+ */
+function percentile(histogram, count) {
+  let cumulative = 0;
+  for (let v = 0; v < 256; v++) {
+    cumulative += histogram[v];
+    if (cumulative >= count) return v;
+  }
+  return 255;
+}
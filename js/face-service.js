@@ -1,32 +1,41 @@
 // face-service.js - Face detection service
-import { downscaleImageToCanvas, debug, clamp } from './utils.js';
+import { downscaleImageToCanvas, createCanvas, debug, clamp, calculateIOU } from './utils.js';
 import { CONFIG } from './config.js';
+import { resolveModelSources, loadNetWeights } from './model-loader.js';
+import { estimateHeadPose } from './pose.js';
+import { analyzeFaceRegion } from './image-quality.js';
+import { enhanceImage, hasEnhancement } from './enhance.js';
 
-const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.12/model/';
+const MODELS = [
+  { net: 'ssdMobilenetv1', file: 'ssd_mobilenetv1_model', label: 'SSD mobilenet', progress: 10 },
+  { net: 'tinyFaceDetector', file: 'tiny_face_detector_model', label: 'tiny face detector', progress: 30 },
+  { net: 'faceLandmark68Net', file: 'face_landmark_68_model', label: 'landmarks', progress: 55 },
+  { net: 'ageGenderNet', file: 'age_gender_model', label: 'age & gender model', progress: 70 },
+  { net: 'faceExpressionNet', file: 'face_expression_model', label: 'expression model', progress: 80 },
+  { net: 'faceRecognitionNet', file: 'face_recognition_model', label: 'recognition model', progress: 90 }
+];
 
 export const faceService = {
   modelsLoaded: false,
+  modelSources: {},
 
   /**
    * Load all required face detection models
    * @param {Function} onProgress - Callback with (percentage, statusText)
+   * @param {Object} options - Loading options
+   * @param {FileList} options.folderFiles - Model files from a user-selected folder
+   * @param {Array} options.sources - Pre-resolved model sources (used by detection workers)
    */
-  async loadModels(onProgress = (p, txt) => {}) {
+  async loadModels(onProgress = (p, txt) => {}, options = {}) {
     try {
-      onProgress(10, 'Loading SSD mobilenet...');
-      await faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_URL);
+      const sources = options.sources || resolveModelSources(options.folderFiles);
 
-      onProgress(30, 'Loading tiny face detector...');
-      await faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL);
-
-      onProgress(55, 'Loading landmarks...');
-      await faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL);
-
-      onProgress(75, 'Loading age & gender model...');
-      await faceapi.nets.ageGenderNet.loadFromUri(MODEL_URL);
-
-      onProgress(90, 'Loading recognition model...');
-      await faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL);
+      for (const model of MODELS) {
+        onProgress(model.progress, 'Loading ' + model.label + '...');
+        const loaded = await loadNetWeights(faceapi.nets[model.net], model.file, sources);
+        this.modelSources[model.net] = loaded;
+        debug(model.label + ' loaded from ' + loaded.location + (loaded.fromCache ? ' (cached)' : ''));
+      }
 
       this.modelsLoaded = true;
       onProgress(100, 'Ready');
@@ -43,26 +52,39 @@ export const faceService = {
    */
   getLoadingErrorMessage(err) {
     const errorMessages = {
-      'Failed to fetch': 'Network error - check your internet connection',
-      'NetworkError': 'Network error - check your internet connection',
+      'Failed to fetch': 'Network error - check your internet connection or model source',
+      'NetworkError': 'Network error - check your internet connection or model source',
+      'HTTP 404': 'Model file not found',
+      'not found in selected folder': 'Model file missing from the selected folder',
       'TypeError': 'Invalid model files - try refreshing the page',
       'Out of memory': 'Browser out of memory - try closing other tabs'
     };
-    
-    for (const [key, message] of Object.entries(errorMessages)) {
+
+    let message = `Failed to load AI models: ${err.message}`;
+    for (const [key, text] of Object.entries(errorMessages)) {
       if (err.message.includes(key) || err.name === key) {
-        return message;
+        message = text;
+        break;
       }
     }
-    
-    return `Failed to load AI models: ${err.message}`;
+
+    if (err.modelFile) {
+      message += ` (${err.modelFile} from ${err.modelSource})`;
+    }
+    return message;
   },
 
   /**
    * Detect all faces in an image or canvas with landmarks, age, and descriptors
-   * @param {HTMLImageElement|HTMLCanvasElement} input - Image or canvas to detect faces in
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas} input - Image or canvas to detect faces in
    * @param {Object} options - Detection options
-   * @returns {Promise<Array>} Array of face detections with landmarks, age, and descriptors
+   * @param {boolean} options.useTiny - Use the Tiny detector instead of SSD
+   * @param {number} options.maxW - Maximum detection width (capped at CONFIG.detection.maxImageSize)
+   * @param {number} options.maxH - Maximum detection height
+   * @param {boolean} options.tiled - Also detect on overlapping tiles (small faces)
+   * @param {boolean} options.ensemble - Also run Tiny detector passes and fuse the results
+   * @param {Object} options.enhancement - Enhancement settings applied before detection (see enhanceImage)
+   * @returns {Promise<Array>} Array of plain face detections in input coordinates, with landmarks, age, and descriptors
    */
   async detectAllFaces(input, options = {}) {
     const useTiny = options.useTiny ?? false;
@@ -77,36 +99,34 @@ export const faceService = {
 
     let detectionInput = input;
 
-    // Downscale large images for better performance
-    if (!(input instanceof HTMLCanvasElement) && !(input instanceof HTMLVideoElement)) {
-      const maxW = options.maxW || CONFIG.detection.maxImageSize;
-      const maxH = options.maxH || CONFIG.detection.maxImageSize;
+    // Downscale large images for better performance (canvases may be full-resolution rotated photos)
+    const maxW = Math.min(options.maxW || CONFIG.detection.maxImageSize, CONFIG.detection.maxImageSize);
+    const maxH = Math.min(options.maxH || CONFIG.detection.maxImageSize, CONFIG.detection.maxImageSize);
+    if (!isVideo(input) && (!isCanvas(input) || input.width > maxW || input.height > maxH)) {
       detectionInput = downscaleImageToCanvas(input, maxW, maxH);
     }
 
-    let results = await faceapi
-      .detectAllFaces(detectionInput, detector)
-      .withFaceLandmarks()
-      .withAgeAndGender()
-      .withFaceDescriptors();
+    // Low-light / contrast enhancement runs on the detection-sized copy, so descriptors see it too
+    const enhancement = hasEnhancement(options.enhancement) ? options.enhancement : null;
+    if (enhancement) {
+      detectionInput = enhanceImage(detectionInput, enhancement);
+    }
+
+    let results = await this.runDetector(detectionInput, detector, useTiny ? 'tiny' : 'ssd');
 
     // Multi-scale detection: try with lower threshold if we found few faces
     if (results.length < 3 && !useTiny) {
       debug(`Only found ${results.length} faces, trying with lower threshold...`);
-      const lowerThresholdResults = await faceapi
-        .detectAllFaces(detectionInput, new faceapi.SsdMobilenetv1Options({
-          minConfidence: Math.max(0.1, CONFIG.detection.scoreThreshold - 0.1)
-        }))
-        .withFaceLandmarks()
-        .withAgeAndGender()
-        .withFaceDescriptors();
+      const lowerThresholdResults = await this.runDetector(detectionInput, new faceapi.SsdMobilenetv1Options({
+        minConfidence: Math.max(0.1, CONFIG.detection.scoreThreshold - 0.1)
+      }), 'ssd');
 
       // Merge results, avoiding duplicates
       lowerThresholdResults.forEach(newDetection => {
         const isDuplicate = results.some(existing => {
           const box1 = existing.detection.box;
           const box2 = newDetection.detection.box;
-          const overlap = this.calculateIOU(box1, box2);
+          const overlap = calculateIOU(box1, box2);
           return overlap > 0.5;
         });
         if (!isDuplicate) {
@@ -119,13 +139,38 @@ export const faceService = {
     // Fallback to SSD if tiny detector finds nothing
     if (results.length === 0 && useTiny && CONFIG.detection.fallbackToSSD) {
       debug('No faces found with Tiny detector, falling back to SSD...');
-      results = await faceapi
-        .detectAllFaces(input, new faceapi.SsdMobilenetv1Options({
-          minConfidence: CONFIG.detection.scoreThreshold - 0.05
-        }))
-        .withFaceLandmarks()
-        .withAgeAndGender()
-        .withFaceDescriptors();
+      results = await this.runDetector(detectionInput, new faceapi.SsdMobilenetv1Options({
+        minConfidence: CONFIG.detection.scoreThreshold - 0.05
+      }), 'ssd');
+    }
+
+    // Ensemble: add Tiny detector passes at several input sizes and fuse overlapping boxes
+    if (options.ensemble && !useTiny) {
+      const candidates = results.slice();
+      for (const inputSize of CONFIG.detection.ensembleInputSizes) {
+        const tinyResults = await this.runDetector(detectionInput, new faceapi.TinyFaceDetectorOptions({
+          inputSize: inputSize,
+          scoreThreshold: CONFIG.detection.scoreThreshold
+        }), 'tiny-' + inputSize);
+        candidates.push(...tinyResults);
+      }
+      results = this.fuseDetections(candidates, CONFIG.detection.ensembleIoU);
+      debug(`After ensemble detection: ${results.length} faces total`);
+    }
+
+    // Tiled detection: small faces reach the detector at full model resolution
+    if (options.tiled && !useTiny && isCanvas(detectionInput)) {
+      const tiled = await this.detectTiled(detectionInput);
+      results = this.mergeDetections(results, tiled);
+      debug(`After tiled detection: ${results.length} faces total`);
+    }
+
+    // Descriptors of aligned faces come from rotation-normalised face chips
+    if (CONFIG.detection.alignFaces) {
+      for (const detection of results) {
+        detection.descriptor = await this.computeAlignedDescriptor(detectionInput, detection.landmarks);
+        detection.aligned = true;
+      }
     }
 
     // Filter out low-quality detections
@@ -135,67 +180,521 @@ export const faceService = {
              box.height >= CONFIG.detection.minFaceSize;
     });
 
-    // Add quality scores to each detection
+    // Faces that are small where they were detected are refined after mapping back to the input
+    const smallFaces = CONFIG.detection.refineSmallFaces
+      ? results.filter(d => Math.min(d.detection.box.width, d.detection.box.height) < CONFIG.detection.refineBelow)
+      : [];
+
+    // Map boxes and landmarks back into the coordinate space of the original input
+    let scaleX = 1;
+    let scaleY = 1;
+    if (detectionInput !== input && detectionInput.width > 0) {
+      scaleX = input.width / detectionInput.width;
+      scaleY = input.height / detectionInput.height;
+      results.forEach(detection => scaleDetection(detection, scaleX, scaleY));
+    }
+
+    for (const detection of smallFaces) {
+      try {
+        await this.refineSmallFace(input, detection, enhancement);
+      } catch (err) {
+        debug('Small face refinement failed, keeping original descriptor:', err);
+      }
+    }
+
+    // Head pose and quality are scored after refinement, so refined faces use their new landmarks,
+    // and at detection resolution, so size and sharpness penalties compare the same way for every face
     results.forEach(detection => {
-      detection.quality = this.calculateFaceQuality(detection);
+      const box = detection.detection.box;
+      this.scoreDetection(detectionInput, detection, {
+        x: box.x / scaleX,
+        y: box.y / scaleY,
+        width: box.width / scaleX,
+        height: box.height / scaleY
+      });
     });
 
     return results;
   },
 
   /**
-   * Calculate Intersection over Union (IoU) between two bounding boxes
-   * @param {Object} box1 - First bounding box {x, y, width, height}
-   * @param {Object} box2 - Second bounding box {x, y, width, height}
-   * @returns {number} IoU score (0-1)
+   * Run a detector with landmarks, expressions and age/gender. Descriptors are only computed here when faces
+   * are not aligned - aligned descriptors come from computeAlignedDescriptor instead.
+   * @param {HTMLCanvasElement|OffscreenCanvas|HTMLImageElement} input - Detection input
+   * @param {Object} detector - face-api detector options
+   * @param {string} detectorName - Name recorded on each detection (e.g. 'ssd', 'tiny-416')
+   * @returns {Promise<Array>} Plain detections in input coordinates
+   */
+  async runDetector(input, detector, detectorName) {
+    let task = faceapi
+      .detectAllFaces(input, detector)
+      .withFaceLandmarks()
+      .withFaceExpressions()
+      .withAgeAndGender();
+    if (!CONFIG.detection.alignFaces) task = task.withFaceDescriptors();
+    return (await task).map(d => this.toPlainDetection(d, detectorName));
+  },
+
+  /**
+   * Describe a face in a hand-drawn region: landmarks, age/gender, descriptor and quality
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas} input - Image the box refers to
+   * @param {{x: number, y: number, width: number, height: number}} box - Face region in input pixels
+   * @returns {Promise<Object>} Plain detection marked as manual
    */
-  calculateIOU(box1, box2) {
-    const x1 = Math.max(box1.x, box2.x);
-    const y1 = Math.max(box1.y, box2.y);
-    const x2 = Math.min(box1.x + box1.width, box2.x + box2.width);
-    const y2 = Math.min(box1.y + box1.height, box2.y + box2.height);
+  async describeFaceRegion(input, box) {
+    const x = Math.max(0, Math.round(box.x));
+    const y = Math.max(0, Math.round(box.y));
+    const width = Math.min(input.width - x, Math.round(box.width));
+    const height = Math.min(input.height - y, Math.round(box.height));
+    if (width < CONFIG.detection.minFaceSize || height < CONFIG.detection.minFaceSize) {
+      throw new Error('Marked region is too small (minimum ' + CONFIG.detection.minFaceSize + 'px)');
+    }
+
+    // The networks see the region the same way they see a detector box
+    const crop = createCanvas(width, height);
+    crop.getContext('2d').drawImage(input, x, y, width, height, 0, 0, width, height);
+
+    const landmarks = await faceapi.detectFaceLandmarks(crop);
+    const ageGender = await faceapi.predictAgeAndGender(crop);
+    const expressions = await faceapi.recognizeFaceExpressions(crop);
+
+    const detection = {
+      detection: {
+        box: { x: x, y: y, width: width, height: height },
+        score: 1
+      },
+      landmarks: {
+        positions: landmarks.positions.map(p => ({ x: p.x + x, y: p.y + y }))
+      },
+      descriptor: null,
+      age: ageGender.age,
+      gender: ageGender.gender,
+      genderProbability: ageGender.genderProbability,
+      expressions: Object.assign({}, expressions),
+      expression: dominantExpression(expressions),
+      detectors: ['manual'],
+      manual: true
+    };
 
-    const intersectionArea = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
-    const box1Area = box1.width * box1.height;
-    const box2Area = box2.width * box2.height;
-    const unionArea = box1Area + box2Area - intersectionArea;
+    if (CONFIG.detection.alignFaces) {
+      detection.descriptor = await this.computeAlignedDescriptor(input, detection.landmarks);
+      detection.aligned = true;
+    } else {
+      detection.descriptor = await faceapi.computeFaceDescriptor(crop);
+    }
 
-    return unionArea > 0 ? intersectionArea / unionArea : 0;
+    return this.scoreDetection(input, detection);
   },
 
   /**
-   * Calculate quality score for a face detection
-   * @param {Object} detection - Face detection object
-   * @returns {number} Quality score (0-100)
+   * Re-run landmarks and the recognition net on an upscaled crop of a small face
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas} input - Full-resolution image
+   * @param {Object} detection - Plain detection in input coordinates; landmarks and descriptor are replaced
+   * @param {Object} enhancement - Enhancement settings used for detection (optional)
+   * @returns {Promise<Object>} The same detection, flagged as refined
    */
-  calculateFaceQuality(detection) {
+  async refineSmallFace(input, detection, enhancement = null) {
     const box = detection.detection.box;
-    const score = detection.detection.score;
-    const landmarks = detection.landmarks;
-    
-    let quality = score * 100;
+
+    // Padding keeps the area the aligned chip needs around the face
+    const pad = Math.max(box.width, box.height) * CONFIG.detection.refinePadding;
+    const rx = Math.max(0, Math.floor(box.x - pad));
+    const ry = Math.max(0, Math.floor(box.y - pad));
+    const rw = Math.min(input.width, Math.ceil(box.x + box.width + pad)) - rx;
+    const rh = Math.min(input.height, Math.ceil(box.y + box.height + pad)) - ry;
+    if (rw < 2 || rh < 2) return detection;
+
+    const scale = clamp(CONFIG.detection.refineSize / Math.max(box.width, box.height), 1, CONFIG.detection.refineMaxUpscale);
+    let region = createCanvas(Math.round(rw * scale), Math.round(rh * scale));
+    const regionCtx = region.getContext('2d');
+    regionCtx.imageSmoothingQuality = 'high';
+    regionCtx.drawImage(input, rx, ry, rw, rh, 0, 0, region.width, region.height);
+    if (enhancement) region = enhanceImage(region, enhancement);
+
+    // Landmarks are predicted on the face box itself, as in the detection pipeline
+    const fx = Math.round((box.x - rx) * scale);
+    const fy = Math.round((box.y - ry) * scale);
+    const fw = Math.max(1, Math.round(box.width * scale));
+    const fh = Math.max(1, Math.round(box.height * scale));
+    const faceCrop = createCanvas(fw, fh);
+    faceCrop.getContext('2d').drawImage(region, fx, fy, fw, fh, 0, 0, fw, fh);
+
+    const landmarks = await faceapi.detectFaceLandmarks(faceCrop);
+    const regionLandmarks = {
+      positions: landmarks.positions.map(p => ({ x: p.x + fx, y: p.y + fy }))
+    };
+
+    detection.descriptor = CONFIG.detection.alignFaces
+      ? await this.computeAlignedDescriptor(region, regionLandmarks)
+      : await faceapi.computeFaceDescriptor(faceCrop);
+    detection.landmarks = {
+      positions: regionLandmarks.positions.map(p => ({ x: p.x / scale + rx, y: p.y / scale + ry }))
+    };
+    detection.refined = { scale: scale };
+    return detection;
+  },
+
+  /**
+   * Add head pose, image quality sub-scores and the overall quality score to a detection
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas} input - Image the detection refers to
+   * @param {Object} detection - Plain detection
+   * @param {Object} box - Face box in input coordinates, when the detection's own box refers to another scale
+   * @returns {Object} The same detection
+   */
+  scoreDetection(input, detection, box = detection.detection.box) {
+    detection.pose = estimateHeadPose(detection.landmarks);
+    detection.qualityScores = analyzeFaceRegion(input, box);
+    const factors = this.qualityFactors(detection, box);
+    detection.quality = this.calculateFaceQuality(detection, factors);
+    detection.qualityLimit = this.limitingQualityFactor(factors);
+    return detection;
+  },
+
+  /**
+   * Detect faces on overlapping tiles of a large canvas
+   * @param {HTMLCanvasElement|OffscreenCanvas} input - Detection canvas
+   * @returns {Promise<Array>} Plain detections in input coordinates
+   */
+  async detectTiled(input) {
+    const { tileSize, tileOverlap } = CONFIG.detection;
+    const width = input.width;
+    const height = input.height;
+    if (width <= tileSize && height <= tileSize) return [];
+
+    const step = Math.max(1, tileSize - tileOverlap);
+    const detector = new faceapi.SsdMobilenetv1Options({
+      minConfidence: CONFIG.detection.scoreThreshold
+    });
+
+    let merged = [];
+    for (const y of tileOrigins(height, tileSize, step)) {
+      for (const x of tileOrigins(width, tileSize, step)) {
+        const w = Math.min(tileSize, width - x);
+        const h = Math.min(tileSize, height - y);
+        const tile = createCanvas(w, h);
+        tile.getContext('2d').drawImage(input, x, y, w, h, 0, 0, w, h);
+
+        const found = await this.runDetector(tile, detector, 'ssd-tiled');
+
+        const tileDetections = [];
+        found.forEach(detection => {
+          // A face cut by an interior tile edge is seen whole by the neighbouring tile
+          const box = detection.detection.box;
+          const margin = 2;
+          if ((x > 0 && box.x <= margin) ||
+              (y > 0 && box.y <= margin) ||
+              (x + w < width && box.x + box.width >= w - margin) ||
+              (y + h < height && box.y + box.height >= h - margin)) {
+            return;
+          }
+          tileDetections.push(offsetDetection(detection, x, y));
+        });
+        merged = this.mergeDetections(merged, tileDetections);
+      }
+    }
+
+    debug(`Tiled detection found ${merged.length} faces`);
+    return merged;
+  },
+
+  /**
+   * Merge two sets of plain detections, keeping the higher-scoring box of each duplicate pair
+   * @param {Array} primary - Existing detections
+   * @param {Array} extra - Detections to merge in
+   * @returns {Array} Merged detections
+   */
+  mergeDetections(primary, extra) {
+    const merged = primary.slice();
+    extra.forEach(candidate => {
+      const dupIndex = merged.findIndex(existing =>
+        calculateIOU(existing.detection.box, candidate.detection.box) > CONFIG.detection.tileMergeIoU
+      );
+      if (dupIndex === -1) {
+        merged.push(candidate);
+      } else if (candidate.detection.score > merged[dupIndex].detection.score) {
+        candidate.detectors = unionOf(candidate.detectors, merged[dupIndex].detectors);
+        merged[dupIndex] = candidate;
+      } else {
+        merged[dupIndex].detectors = unionOf(merged[dupIndex].detectors, candidate.detectors);
+      }
+    });
+    return merged;
+  },
+
+  /**
+   * Fuse detections from several detectors with score-weighted non-maximum suppression
+   * @param {Array} candidates - Plain detections from all detectors
+   * @param {number} iouThreshold - Boxes overlapping more than this are the same face
+   * @returns {Array} One detection per face; the box is the score-weighted mean of its cluster,
+   *   landmarks and descriptor come from the highest-scoring member
+   */
+  fuseDetections(candidates, iouThreshold) {
+    const clusters = [];
+    candidates
+      .slice()
+      .sort((a, b) => b.detection.score - a.detection.score)
+      .forEach(candidate => {
+        const cluster = clusters.find(c =>
+          calculateIOU(c.lead.detection.box, candidate.detection.box) > iouThreshold
+        );
+        if (cluster) cluster.members.push(candidate);
+        else clusters.push({ lead: candidate, members: [candidate] });
+      });
+
+    return clusters.map(({ lead, members }) => {
+      const totalScore = members.reduce((sum, m) => sum + m.detection.score, 0);
+      const box = { x: 0, y: 0, width: 0, height: 0 };
+      members.forEach(m => {
+        const weight = m.detection.score / totalScore;
+        box.x += m.detection.box.x * weight;
+        box.y += m.detection.box.y * weight;
+        box.width += m.detection.box.width * weight;
+        box.height += m.detection.box.height * weight;
+      });
+
+      lead.detection.box = box;
+      lead.detectors = members.reduce((names, m) => unionOf(names, m.detectors), []);
+      return lead;
+    });
+  },
+
+  /**
+   * Convert a face-api result into a plain object that can cross a worker boundary
+   * @param {Object} result - face-api detection with landmarks, age/gender and descriptor
+   * @param {string} detectorName - Detector that found the face (e.g. 'ssd', 'tiny-416')
+   * @returns {Object} Plain detection with the same property paths main.js relies on
+   */
+  toPlainDetection(result, detectorName) {
+    const box = result.detection.box;
+    return {
+      detection: {
+        box: { x: box.x, y: box.y, width: box.width, height: box.height },
+        score: result.detection.score
+      },
+      landmarks: {
+        positions: result.landmarks.positions.map(p => ({ x: p.x, y: p.y }))
+      },
+      descriptor: result.descriptor || null,
+      age: result.age,
+      gender: result.gender,
+      genderProbability: result.genderProbability,
+      expressions: Object.assign({}, result.expressions),
+      expression: dominantExpression(result.expressions),
+      detectors: [detectorName]
+    };
+  },
+
+  /**
+   * Cut a face chip rotated so the eyes are level, framed like face-api's dlib alignment
+   * @param {HTMLCanvasElement|OffscreenCanvas|HTMLImageElement} input - Source the landmarks refer to
+   * @param {Object} landmarks - Plain 68-point landmarks ({positions: [{x, y}]})
+   * @param {number} size - Output chip size in pixels
+   * @returns {HTMLCanvasElement|OffscreenCanvas} Aligned square face chip
+   */
+  alignFace(input, landmarks, size = CONFIG.detection.alignedChipSize) {
+    const pts = landmarks.positions;
+    const leftEye = centerOf(pts.slice(36, 42));
+    const rightEye = centerOf(pts.slice(42, 48));
+    const mouth = centerOf(pts.slice(48, 68));
+
+    // Same reference point and scale as FaceLandmarks.alignDlib (relX 0.5, relY 0.43, relScale 0.45)
+    const eyeToMouth = (Math.hypot(mouth.x - leftEye.x, mouth.y - leftEye.y) +
+                        Math.hypot(mouth.x - rightEye.x, mouth.y - rightEye.y)) / 2;
+    const faceSize = eyeToMouth / 0.45;
+    const refPoint = centerOf([leftEye, rightEye, mouth]);
+    const angle = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+
+    const chip = createCanvas(size, size);
+    const ctx = chip.getContext('2d');
+    ctx.translate(size * 0.5, size * 0.43);
+    ctx.scale(size / faceSize, size / faceSize);
+    ctx.rotate(-angle);
+    ctx.translate(-refPoint.x, -refPoint.y);
+    ctx.drawImage(input, 0, 0);
+
+    return chip;
+  },
+
+  /**
+   * Compute a face descriptor on an aligned face chip
+   * @param {HTMLCanvasElement|OffscreenCanvas|HTMLImageElement} input - Source the landmarks refer to
+   * @param {Object} landmarks - Plain 68-point landmarks
+   * @returns {Promise<Float32Array>} 128-d descriptor
+   */
+  async computeAlignedDescriptor(input, landmarks) {
+    const chip = this.alignFace(input, landmarks);
+    return faceapi.computeFaceDescriptor(chip);
+  },
+
+  /**
+   * Multipliers that make up a face's quality score (1 = no effect, below 1 = penalty)
+   * @param {Object} detection - Face detection object, optionally with qualityScores from analyzeFaceRegion
+   * @param {Object} box - Face box the size and shape are judged on (defaults to the detection box)
+   * @returns {Object<string, number>} Multiplier per factor
+   */
+  qualityFactors(detection, box = detection.detection.box) {
+    const pose = detection.pose;
+    const factors = { detector: detection.detection.score };
     
     // Penalize small faces
     if (box.width < 80 || box.height < 80) {
-      quality *= 0.7;
+      factors.size = 0.7;
     } else if (box.width > 200 && box.height > 200) {
-      quality *= 1.1; // Bonus for larger faces
+      factors.size = 1.1; // Bonus for larger faces
     }
     
-    // Reward frontal faces (check landmark alignment)
-    if (landmarks && landmarks.positions && landmarks.positions.length > 30) {
-      const nose = landmarks.positions[30]; // nose tip
-      const centerX = box.x + box.width / 2;
-      const offset = Math.abs(nose.x - centerX) / box.width;
-      quality *= (1 - offset * 0.3); // Less penalty than before
+    // Reward frontal faces - descriptors degrade as the head turns away
+    if (pose) {
+      const yawPenalty = Math.min(Math.abs(pose.yaw), 90) / 90 * 0.4;
+      const pitchPenalty = Math.min(Math.abs(pose.pitch), 90) / 90 * 0.3;
+      factors.pose = 1 - yawPenalty - pitchPenalty;
     }
     
     // Check aspect ratio (faces should be roughly square)
     const aspectRatio = box.width / box.height;
     if (aspectRatio < 0.7 || aspectRatio > 1.5) {
-      quality *= 0.8;
+      factors.aspect = 0.8;
+    }
+    
+    // Blurry, badly exposed or flat faces produce unreliable descriptors
+    if (detection.qualityScores) {
+      const penalties = CONFIG.quality.penalties;
+      Object.keys(penalties).forEach(name => {
+        factors[name] = 1 - penalties[name] * (1 - detection.qualityScores[name] / 100);
+      });
     }
     
+    return factors;
+  },
+
+  /**
+   * Calculate quality score for a face detection
+   * @param {Object} detection - Face detection object
+   * @param {Object} factors - Precomputed multipliers from qualityFactors (optional)
+   * @returns {number} Quality score (0-100)
+   */
+  calculateFaceQuality(detection, factors = this.qualityFactors(detection)) {
+    const quality = Object.values(factors).reduce((q, f) => q * f, 100);
     return Math.round(clamp(quality, 0, 100));
+  },
+
+  /**
+   * Find the factor that lowered the quality score the most
+   * @param {Object<string, number>} factors - Multipliers from qualityFactors
+   * @returns {string|null} Factor name, or null if no factor cost more than 10%
+   */
+  limitingQualityFactor(factors) {
+    // Raw detector scores are below 0.9 for most real faces, so they are ranked relative to the detection
+    // threshold - otherwise "low detector confidence" would hide the factor that actually held the score down
+    const ranked = Object.assign({}, factors);
+    if (ranked.detector !== undefined) {
+      const threshold = CONFIG.detection.scoreThreshold;
+      ranked.detector = clamp((ranked.detector - threshold) / (CONFIG.quality.confidentDetection - threshold), 0, 1);
+    }
+
+    let worst = null;
+    Object.keys(ranked).forEach(name => {
+      if (ranked[name] < 0.9 && (worst === null || ranked[name] < ranked[worst])) {
+        worst = name;
+      }
+    });
+    return worst;
   }
 };
+
+function isCanvas(input) {
+  return typeof input.getContext === 'function';
+}
+
+function isVideo(input) {
+  return typeof HTMLVideoElement !== 'undefined' && input instanceof HTMLVideoElement;
+}
+
+/**
+ * Tile start positions along one axis; the last tile is aligned to the far edge
+ * @param {number} length - Image length along the axis
+ * @param {number} size - Tile size
+ * @param {number} step - Distance between tile starts
+ * @returns {Array<number>} Tile origins
+ */
+function tileOrigins(length, size, step) {
+  if (length <= size) return [0];
+  const origins = [];
+  for (let pos = 0; pos + size < length; pos += step) {
+    origins.push(pos);
+  }
+  origins.push(length - size);
+  return origins;
+}
+
+/**
+ * Most likely expression from face-api expression probabilities
+ * @param {Object} expressions - Probability per expression (neutral, happy, sad, ...)
+ * @returns {{name: string, probability: number}|null} Dominant expression
+ */
+function dominantExpression(expressions) {
+  if (!expressions) return null;
+  return Object.keys(expressions).reduce((best, name) => {
+    const probability = expressions[name];
+    return typeof probability === 'number' && (!best || probability > best.probability)
+      ? { name: name, probability: probability }
+      : best;
+  }, null);
+}
+
+/**
+ * Merge two lists of names without duplicates
+ * @param {Array<string>} a - First list
+ * @param {Array<string>} b - Second list
+ * @returns {Array<string>} Combined list
+ */
+function unionOf(a, b) {
+  return Array.from(new Set([...(a || []), ...(b || [])]));
+}
+
+/**
+ * Mean of a set of points
+ * @param {Array<{x: number, y: number}>} points - Points
+ * @returns {{x: number, y: number}} Center point
+ */
+function centerOf(points) {
+  const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+/**
+ * Scale a plain detection's box and landmarks
+ * @param {Object} detection - Plain detection
+ * @param {number} sx - X scale factor
+ * @param {number} sy - Y scale factor
+ * @returns {Object} The same detection, scaled
+ */
+function scaleDetection(detection, sx, sy) {
+  const box = detection.detection.box;
+  box.x *= sx;
+  box.y *= sy;
+  box.width *= sx;
+  box.height *= sy;
+  detection.landmarks.positions.forEach(p => {
+    p.x *= sx;
+    p.y *= sy;
+  });
+  return detection;
+}
+
+/**
+ * Shift a plain detection's box and landmarks by a tile offset
+ * @param {Object} detection - Plain detection
+ * @param {number} dx - X offset
+ * @param {number} dy - Y offset
+ * @returns {Object} The same detection, shifted
+ */
+function offsetDetection(detection, dx, dy) {
+  detection.detection.box.x += dx;
+  detection.detection.box.y += dy;
+  detection.landmarks.positions.forEach(p => {
+    p.x += dx;
+    p.y += dy;
+  });
+  return detection;
+}
@@ -0,0 +1,131 @@
+// image-quality.js - Pixel-level sharpness and lighting analysis of face regions
+import { CONFIG } from './config.js';
+import { createCanvas, clamp, debug } from './utils.js';
+
+// Human-readable names for the factors that make up a face's quality score
+export const QUALITY_FACTOR_LABELS = {
+  detector: 'low detector confidence',
+  size: 'small face',
+  pose: 'head turned',
+  aspect: 'unusual box shape',
+  sharpness: 'blur',
+  exposure: 'poor exposure',
+  contrast: 'low contrast'
+};
+
+/**
+ * Measure sharpness, exposure and contrast of a face region
+ * @param {HTMLCanvasElement|OffscreenCanvas|HTMLImageElement|HTMLVideoElement} input - Source the box refers to
+ * @param {{x: number, y: number, width: number, height: number}} box - Face box in input coordinates
+ * @returns {{sharpness: number, exposure: number, contrast: number}|null} Sub-scores (0-100), or null if unreadable
+ */
+export function analyzeFaceRegion(input, box) {
+  const x = Math.max(0, box.x);
+  const y = Math.max(0, box.y);
+  const w = Math.min(input.width - x, box.width);
+  const h = Math.min(input.height - y, box.height);
+  if (w < 2 || h < 2) return null;
+
+  // Resampled to a fixed size, close to the chip the recognition net sees, so scores compare across face sizes
+  const size = CONFIG.quality.analysisSize;
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+
+  let data;
+  try {
+    ctx.drawImage(input, x, y, w, h, 0, 0, size, size);
+    data = ctx.getImageData(0, 0, size, size).data;
+  } catch (err) {
+    debug('Face region could not be analysed:', err);
+    return null;
+  }
+
+  const gray = new Float32Array(size * size);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  const stats = luminanceStats(gray);
+  return {
+    sharpness: scoreSharpness(laplacianVariance(gray, size)),
+    exposure: scoreExposure(stats.mean, stats.clipped),
+    contrast: Math.round(clamp(stats.stdDev / CONFIG.quality.targetContrast, 0, 1) * 100)
+  };
+}
+
+/**
+ * Describe the factor that lowered a face's quality the most
+ * @param {string|null} factor - Key of QUALITY_FACTOR_LABELS, as stored in detection.qualityLimit
+ * @returns {string} Label, or an empty string when nothing limited the score
+ */
+export function describeQualityLimit(factor) {
+  return factor ? QUALITY_FACTOR_LABELS[factor] || factor : '';
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian - low values mean few edges, i.e. blur
+ * @param {Float32Array} gray - Luminance values
+ * @param {number} size - Width and height of the square image
+ * @returns {number} Laplacian variance
+ */
+function laplacianVariance(gray, size) {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const lap = gray[i - size] + gray[i + size] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += lap;
+      sumSq += lap * lap;
+      count++;
+    }
+  }
+
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+/**
+ * Mean, standard deviation and fraction of clipped pixels
+ * @param {Float32Array} gray - Luminance values
+ * @returns {{mean: number, stdDev: number, clipped: number}}
+ */
+function luminanceStats(gray) {
+  let sum = 0;
+  let sumSq = 0;
+  let clipped = 0;
+
+  for (let i = 0; i < gray.length; i++) {
+    const v = gray[i];
+    sum += v;
+    sumSq += v * v;
+    if (v < 10 || v > 245) clipped++;
+  }
+
+  const mean = sum / gray.length;
+  return {
+    mean: mean,
+    stdDev: Math.sqrt(Math.max(0, sumSq / gray.length - mean * mean)),
+    clipped: clipped / gray.length
+  };
+}
+
+function scoreSharpness(variance) {
+  return Math.round(clamp(variance / CONFIG.quality.sharpVariance, 0, 1) * 100);
+}
+
+/**
+ * Full score inside the ideal brightness range, falling off linearly towards black or white
+ * @param {number} mean - Mean luminance (0-255)
+ * @param {number} clipped - Fraction of crushed or blown-out pixels
+ * @returns {number} Exposure score (0-100)
+ */
+function scoreExposure(mean, clipped) {
+  const [low, high] = CONFIG.quality.brightnessRange;
+  let score = 1;
+  if (mean < low) score = mean / low;
+  else if (mean > high) score = (255 - mean) / (255 - high);
+  return Math.round(clamp(score * (1 - clipped), 0, 1) * 100);
+}
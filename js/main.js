@@ -1,17 +1,26 @@
 // main.js - Main application logic with multi-reference support
-import { DEBUG, debug, downscaleImageToCanvas } from './utils.js';
-import { faceService } from './face-service.js';
-import { detectSunglassesFast } from './sunglasses.js';
-import { createCanvasForImage, placeFaceBox, drawLandmarksOnCanvas, showProcessing, showError } from './ui.js';
-import { computeSimilarity, computeMultiReferenceSimilarity, averageDescriptors } from './comparison.js';
+import { DEBUG, debug, debounce, downscaleImageToCanvas, loadLibrary, runWithConcurrency, calculateIOU } from './utils.js';
+import { detectionPool } from './detection-pool.js';
+import { detectOcclusions, averageOcclusionStrengths, combineOcclusionStrengths, OCCLUSION_REGIONS } from './occlusion.js';
+import { createCanvasForImage, placeFaceBox, flagFaceBox, makeFaceBoxEditable, enableFaceDrawing, toDisplayBox, drawLandmarksOnCanvas, showProcessing, showError } from './ui.js';
+import { computeSimilarity, computeMultiReferenceSimilarity, averageDescriptors, occlusionBaseAdjustment, buildCentroidTemplate, describeTemplateSpread, checkReferenceConsistency, pickCommonSubject, MATCH_METHODS } from './comparison.js';
 import { CONFIG } from './config.js';
+import { calibration, referenceSetKey, pairKey, CALIBRATION_METHODS } from './calibration.js';
+import { thresholdProfiles, currentSettings } from './threshold-profiles.js';
 import { fetchImagesFromUrl } from './url-fetcher.js';
+import { correctOrientation, rotateImage } from './orientation.js';
+import { headTurnAngle, formatPose } from './pose.js';
+import { describeQualityLimit } from './image-quality.js';
+import { enhanceImage, enhancementPreset } from './enhance.js';
 
 // DOM elements
 const loadingText = document.getElementById('loadingText');
 const loadingProgress = document.getElementById('loadingProgress');
 const loadingStatus = document.getElementById('loadingStatus');
 const mainApp = document.getElementById('mainApp');
+const modelSourceControls = document.getElementById('modelSourceControls');
+const modelFolderInput = document.getElementById('modelFolderInput');
+const retryModelsBtn = document.getElementById('retryModelsBtn');
 const fileInput1 = document.getElementById('fileInput1');
 const fileInput2 = document.getElementById('fileInput2');
 const uploadArea1 = document.getElementById('uploadArea1');
@@ -22,10 +31,25 @@ const compareBtn = document.getElementById('compareBtn');
 const resultsDiv = document.getElementById('results');
 const debugToggle = document.getElementById('debugToggle');
 const yearbookToggle = document.getElementById('yearbookToggle');
+const ensembleToggle = document.getElementById('ensembleToggle');
+const enhancementSelect = document.getElementById('enhancementSelect');
 const clearBtn = document.getElementById('clearBtn');
 const referenceInfo = document.getElementById('referenceInfo');
 const refCount = document.getElementById('refCount');
+const referenceWarning = document.getElementById('referenceWarning');
+const referenceWarningText = document.getElementById('referenceWarningText');
+const referenceMatrix = document.getElementById('referenceMatrix');
+const deselectOutliersBtn = document.getElementById('deselectOutliersBtn');
+const autoPickBtn = document.getElementById('autoPickBtn');
+const autoPickStatus = document.getElementById('autoPickStatus');
 const matchMethod = document.getElementById('matchMethod');
+const matchMethodHelp = document.getElementById('matchMethodHelp');
+const votesNeededControl = document.getElementById('votesNeededControl');
+const votesNeeded = document.getElementById('votesNeeded');
+const distanceMetric = document.getElementById('distanceMetric');
+const maxHeadTurn = document.getElementById('maxHeadTurn');
+const qualitySlider = document.getElementById('qualityThreshold');
+const qualityValue = document.getElementById('qualityThresholdValue');
 
 // URL-related DOM elements
 const sourceTabs = document.querySelectorAll('.source-tab');
@@ -38,27 +62,68 @@ const minSizeSelect = document.getElementById('minSizeSelect');
 const urlStatus = document.getElementById('urlStatus');
 const urlPreview = document.getElementById('urlPreview');
 
+// Threshold settings panel
+const profileSelect = document.getElementById('profileSelect');
+const activeProfileName = document.getElementById('activeProfileName');
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const thresholdInputs = {
+  veryHigh: document.getElementById('thresholdVeryHigh'),
+  high: document.getElementById('thresholdHigh'),
+  good: document.getElementById('thresholdGood'),
+  low: document.getElementById('thresholdLow')
+};
+const thresholdMetricLabel = document.getElementById('thresholdMetricLabel');
+const matchSheetThreshold = document.getElementById('matchSheetThreshold');
+const zipThresholdsInput = document.getElementById('zipThresholds');
+const thresholdSettingsStatus = document.getElementById('thresholdSettingsStatus');
+
 // Application state - NOW SUPPORTS MULTIPLE REFERENCES
 let referencePhotos = []; // Array of {image, faces, canvas, wrapper, file}
 let comparisons = [];
 let comparisonResults = [];
+let comparisonSettings = null; // Settings of the run behind comparisonResults, recorded in exports
+let thresholdsModified = false; // Threshold edits not yet saved to a profile
+// Attribute filters for the results list (kept across re-runs)
+const resultFilters = { minAge: null, maxAge: null, excludeChildren: false, gender: 'any', expression: 'any' };
 
 /**
  * Bootstrap the application
+ * @param {Object} options - Boot options
+ * @param {FileList} options.folderFiles - Model files from a user-selected folder
  */
-async function boot() {
+async function boot(options) {
+  options = options || {};
+  modelSourceControls.classList.add('hidden');
+  loadingProgress.style.background = '';
+
   try {
-    await faceService.loadModels(function(p, txt) {
+    loadingText.textContent = 'Loading face-api.js...';
+    await loadLibrary(CONFIG.libraries.faceApi);
+
+    // Export libraries are only needed later - a failure just disables that export
+    loadLibrary(CONFIG.libraries.jsPDF).catch(function(e) { console.warn(e.message); });
+    loadLibrary(CONFIG.libraries.jsZip).catch(function(e) { console.warn(e.message); });
+
+    await detectionPool.loadModels(function(p, txt) {
       loadingProgress.style.width = p + '%';
       loadingText.textContent = txt;
-    });
+    }, { folderFiles: options.folderFiles });
     setTimeout(function() {
       loadingStatus.classList.add('hidden');
       mainApp.classList.remove('hidden');
     }, 300);
+
+    // Check for images passed via URL hash (from browser extension)
+    checkForExtensionImages();
   } catch (e) {
-    loadingText.innerHTML = '<span style="color:#ef4444">' + e.message + '</span>';
+    // The message can include a model source from the URL, so it is never parsed as HTML
+    const error = document.createElement('span');
+    error.style.color = '#ef4444';
+    error.textContent = e.message;
+    loadingText.replaceChildren(error);
     loadingProgress.style.background = '#ef4444';
+    modelSourceControls.classList.remove('hidden');
   }
 }
 
@@ -66,9 +131,9 @@ async function boot() {
  * Update the compare button state based on available faces
  */
 function setDisabledState() {
-  const totalRefFaces = referencePhotos.reduce((sum, r) => sum + r.faces.length, 0);
-  const selectedRefFaces = referencePhotos.reduce((sum, r) => sum + r.faces.filter(f => f.selected).length, 0);
-  const totalCompFaces = comparisons.reduce((sum, c) => sum + (c.faces?.length || 0), 0);
+  const totalRefFaces = referencePhotos.reduce((sum, r) => sum + r.faces.filter(isFaceUsable).length, 0);
+  const selectedRefFaces = referencePhotos.reduce((sum, r) => sum + r.faces.filter(f => f.selected && isFaceUsable(f)).length, 0);
+  const totalCompFaces = comparisons.reduce((sum, c) => sum + (c.faces?.filter(isFaceUsable).length || 0), 0);
 
   compareBtn.disabled = !(selectedRefFaces > 0 && totalCompFaces > 0);
 
@@ -97,6 +162,328 @@ function setDisabledState() {
   } else {
     referenceInfo.classList.add('hidden');
   }
+
+  updateReferenceConsistency();
+}
+
+/**
+ * Compare the selected reference faces with each other and flag the ones far from the rest,
+ * which are likely a different person. Reference photos whose flags changed are redrawn.
+ * @returns {number} Number of flagged faces
+ */
+function updateReferenceConsistency() {
+  const selected = [];
+  referencePhotos.forEach(function(ref) {
+    ref.faces.forEach(function(face, i) {
+      if (face.selected && isFaceUsable(face)) {
+        selected.push({ ref: ref, face: face, label: 'Ref ' + (ref.index + 1) + '.' + (i + 1) });
+      }
+    });
+  });
+
+  const metric = distanceMetric.value;
+  const check = checkReferenceConsistency(selected.map(s => s.face.descriptor), metric);
+
+  const changed = new Set();
+  referencePhotos.forEach(function(ref) {
+    ref.faces.forEach(function(face) {
+      const i = selected.findIndex(s => s.face === face);
+      const outlier = i !== -1 && check.outliers.includes(i) ? { medianDistance: check.medianDistances[i], metric: metric } : null;
+      const before = face.referenceOutlier ? face.referenceOutlier.medianDistance : null;
+      if (before !== (outlier ? outlier.medianDistance : null)) changed.add(ref);
+      face.referenceOutlier = outlier;
+    });
+  });
+  changed.forEach(renderReferenceFaces);
+
+  const flagged = check.outliers.length;
+  referenceWarning.classList.toggle('hidden', flagged === 0);
+  if (flagged > 0) {
+    referenceWarningText.textContent = '⚠️ ' + (flagged === selected.length
+      ? 'The selected reference faces do not look like the same person'
+      : flagged + ' selected reference face' + (flagged > 1 ? 's look' : ' looks') + ' like a different person from the rest') +
+      ' (match limit ' + check.limit + ')';
+    renderReferenceMatrix(selected.map(s => s.label), check);
+  }
+  return flagged;
+}
+
+/**
+ * Show the pairwise distances between the selected reference faces, highlighting distances beyond the match limit
+ * @param {Array<string>} labels - Face labels, in matrix order
+ * @param {{matrix: Array<Array<number>>, outliers: Array<number>, limit: number}} check - Result of checkReferenceConsistency
+ */
+function renderReferenceMatrix(labels, check) {
+  const table = document.createElement('table');
+  const header = table.insertRow();
+  header.appendChild(document.createElement('th'));
+  labels.forEach(function(label, i) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    if (check.outliers.includes(i)) th.className = 'outlier';
+    header.appendChild(th);
+  });
+
+  check.matrix.forEach(function(row, i) {
+    const tr = table.insertRow();
+    const th = document.createElement('th');
+    th.textContent = labels[i];
+    if (check.outliers.includes(i)) th.className = 'outlier';
+    tr.appendChild(th);
+    row.forEach(function(distance, j) {
+      const cell = tr.insertCell();
+      cell.textContent = i === j ? '-' : distance.toFixed(3);
+      if (i !== j && distance > check.limit) cell.className = 'far';
+    });
+  });
+
+  referenceMatrix.replaceChildren(table);
+}
+
+/**
+ * Select only the person who appears across most reference photos and deselect everyone else.
+ * Faces can still be toggled by hand afterwards.
+ */
+function autoPickSubject() {
+  const withFaces = referencePhotos.filter(ref => ref.faces.some(isFaceUsable)).length;
+  if (withFaces < 2) {
+    autoPickStatus.textContent = 'Auto-pick needs at least two reference photos with faces';
+    return;
+  }
+
+  const result = pickCommonSubject(
+    referencePhotos.map(ref => ref.faces.map(face => isFaceUsable(face) ? face.descriptor : null)),
+    distanceMetric.value
+  );
+  if (result.photoCount < 2) {
+    autoPickStatus.textContent = 'No person appears in more than one reference photo - select faces by hand';
+    return;
+  }
+
+  referencePhotos.forEach(function(ref, p) {
+    ref.faces.forEach(function(face, i) {
+      face.selected = i === result.picks[p];
+    });
+  });
+  autoPickStatus.textContent = 'Selected the person found in ' + result.photoCount + ' of ' + withFaces +
+    ' photos - click faces to adjust';
+  debug('Auto-picked subject', result);
+
+  redrawAllReferences();
+  setDisabledState();
+  refreshResults();
+}
+
+/**
+ * Deselect every reference face flagged by the consistency check
+ */
+function deselectReferenceOutliers() {
+  referencePhotos.forEach(function(ref) {
+    ref.faces.forEach(function(face) {
+      if (face.referenceOutlier) face.selected = false;
+    });
+  });
+  redrawAllReferences();
+  setDisabledState();
+  refreshResults();
+}
+
+/**
+ * Current minimum quality from the slider
+ * @returns {number} Threshold (0-100)
+ */
+function qualityThreshold() {
+  return parseInt(qualitySlider.value, 10);
+}
+
+/**
+ * Whether a face passes the quality threshold and takes part in comparisons
+ * @param {Object} face - Face detection
+ * @returns {boolean}
+ */
+function isFaceUsable(face) {
+  return face.quality >= qualityThreshold();
+}
+
+/**
+ * Note hand-marked faces and grey out faces below the quality threshold
+ * @param {HTMLElement} faceBox - Face box element
+ * @param {Object} face - Face detection
+ */
+function decorateFaceBox(faceBox, face) {
+  if (!faceBox) return;
+  if (face.manual) faceBox.title += '\nMarked by hand';
+  if (face.adjusted) faceBox.title += '\nBox corrected by hand';
+  if (face.refined) faceBox.title += '\nSmall face refined from upscaled crop';
+  if (isFaceUsable(face)) return;
+  faceBox.classList.add('face-filtered');
+  faceBox.title += '\nBelow quality threshold (' + qualityThreshold() + '%) - not compared';
+}
+
+/**
+ * Re-apply the quality threshold to all stored faces, and re-score existing results
+ */
+function applyQualityFilter() {
+  redrawAllReferences();
+  redrawComparisons();
+  setDisabledState();
+  refreshResults();
+}
+
+/**
+ * Re-score results that are already on screen after faces changed (no detection is re-run).
+ * Results are cleared when no usable faces are left to compare, so stale results cannot be exported.
+ */
+function refreshResults() {
+  if (resultsDiv.classList.contains('hidden')) return;
+  if (compareBtn.disabled) {
+    clearResults();
+  } else {
+    performComparison({ scroll: false });
+  }
+}
+
+/**
+ * Remove the results and their export controls
+ */
+function clearResults() {
+  resultsDiv.innerHTML = '';
+  resultsDiv.classList.add('hidden');
+  comparisonResults = [];
+  comparisonSettings = null;
+}
+
+/**
+ * Describe a face the user marked by hand and add it to a reference or comparison photo
+ * @param {Object} entry - Reference photo or comparison entry
+ * @param {Object} displayBox - Drawn box in display canvas pixels
+ * @param {boolean} isReference - Whether the entry is a reference photo
+ */
+async function addManualFace(entry, displayBox, isReference) {
+  const processor = showProcessing(entry.wrapper, 'Analysing marked face...');
+  try {
+    const face = await describeDisplayRegion(entry, displayBox);
+    if (isReference) face.selected = true;
+
+    entry.faces.push(face);
+    entry.wrapper.querySelectorAll('.error').forEach(e => e.remove());
+
+    if (isReference) renderReferenceFaces(entry);
+    else renderComparisonFaces(entry);
+
+    setDisabledState();
+    refreshResults();
+  } catch (err) {
+    console.error('Manual face failed:', err);
+    alert('Could not analyse the marked face: ' + err.message);
+  } finally {
+    processor.remove();
+  }
+}
+
+/**
+ * Remove a false-positive detection from a comparison photo
+ * @param {Object} comp - Comparison entry
+ * @param {Object} face - Face to remove
+ */
+function deleteComparisonFace(comp, face) {
+  const faceIndex = comp.faces.indexOf(face);
+  if (faceIndex === -1) return;
+  comp.faces.splice(faceIndex, 1);
+  // Remembered so re-detection (e.g. after an enhancement change) does not bring the false positive back
+  if (!face.manual) {
+    comp.deletedBoxes = (comp.deletedBoxes || []).concat([face.detection.box]);
+  }
+  renderComparisonFaces(comp);
+  setDisabledState();
+  refreshResults();
+}
+
+/**
+ * Replace a comparison face with a re-analysed, user-corrected (moved or resized) box
+ * @param {Object} comp - Comparison entry
+ * @param {Object} original - Face being corrected
+ * @param {Object} displayBox - New box in display canvas pixels
+ */
+async function correctComparisonFace(comp, original, displayBox) {
+  const processor = showProcessing(comp.wrapper, 'Re-analysing face...');
+  try {
+    const face = await describeDisplayRegion(comp, displayBox);
+    // Faces may have been deleted or re-detected meanwhile, so look the face up again
+    const faceIndex = comp.faces.indexOf(original);
+    if (faceIndex === -1) return;
+
+    // A corrected detection stays a detection; only faces drawn from scratch count as manual
+    face.manual = !!original.manual;
+    face.adjusted = !original.manual;
+    comp.faces[faceIndex] = face;
+    renderComparisonFaces(comp);
+    setDisabledState();
+    refreshResults();
+  } catch (err) {
+    console.error('Face correction failed:', err);
+    alert('Could not re-analyse the face: ' + err.message);
+    renderComparisonFaces(comp); // Restore the original box
+  } finally {
+    processor.remove();
+  }
+}
+
+/**
+ * Score eye, nose/mouth and forehead occlusion of a face and store it on the detection
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Image the landmarks refer to
+ * @param {Object} face - Face detection, modified in place
+ */
+function analyzeOcclusions(image, face) {
+  face.occlusions = detectOcclusions(image, face.landmarks);
+  face.hasSunglasses = face.occlusions.eyes.occluded;
+  face.sunglassesConfidence = face.occlusions.eyes.score;
+}
+
+/**
+ * Run landmarks, descriptor and occlusion analysis on a region of a photo's display canvas
+ * @param {Object} entry - Reference photo or comparison entry
+ * @param {Object} displayBox - Region in display canvas pixels
+ * @returns {Promise<Object>} Face detection in image pixels
+ */
+async function describeDisplayRegion(entry, displayBox) {
+  const box = {
+    x: displayBox.x / entry.displayScale,
+    y: displayBox.y / entry.displayScale,
+    width: displayBox.width / entry.displayScale,
+    height: displayBox.height / entry.displayScale
+  };
+
+  const face = await detectionPool.describeFaceRegion(entry.image, box);
+  analyzeOcclusions(entry.image, face);
+  return face;
+}
+
+/**
+ * Label suffix shared by reference and comparison face boxes
+ * @param {Object} face - Face detection
+ * @returns {string} Age, occlusion and manual markers
+ */
+function faceLabelSuffix(face) {
+  const ageSuffix = typeof face.age === 'number' ? ' (~' + Math.round(face.age) + 'y)' : '';
+  const occlusionIndicator = occlusionIcons(face.occlusions);
+  const manualIndicator = face.manual ? ' ✎' : '';
+  return ageSuffix + occlusionIndicator + manualIndicator;
+}
+
+/**
+ * Icons for the occluded regions of a face (🕶️ sunglasses, 😷 mask, 🧢 hat)
+ * @param {Object} occlusions - Occlusion analysis, or a flag / non-zero amount per region
+ * @returns {string} Space-prefixed icons, or an empty string
+ */
+function occlusionIcons(occlusions) {
+  if (!occlusions) return '';
+  return Object.keys(OCCLUSION_REGIONS).filter(function(region) {
+    const o = occlusions[region];
+    return typeof o === 'object' && o !== null ? o.occluded : !!o;
+  }).map(function(region) {
+    return ' ' + OCCLUSION_REGIONS[region].icon;
+  }).join('');
 }
 
 /**
@@ -133,6 +520,12 @@ function toggleFaceSelection(refIndex, faceIndex) {
  * Setup UI event listeners
  */
 function setupUI() {
+  // Model source fallback when the configured source is unreachable
+  modelFolderInput.addEventListener('change', function(e) {
+    if (e.target.files.length) boot({ folderFiles: e.target.files });
+  });
+  retryModelsBtn.addEventListener('click', function() { boot(); });
+
   // Drag and drop for upload areas
   [uploadArea1, uploadArea2].forEach(function(area) {
     area.addEventListener('dragover', function(e) {
@@ -167,9 +560,64 @@ function setupUI() {
   });
 
   // Button clicks
-  compareBtn.addEventListener('click', performComparison);
+  compareBtn.addEventListener('click', function() { performComparison(); });
   clearBtn.addEventListener('click', clearAll);
 
+  // Quality threshold: faces are kept, so changing it only re-filters and re-scores
+  qualitySlider.value = CONFIG.ui.qualityThreshold;
+  qualityValue.textContent = qualitySlider.value + '%';
+  const applyQualityFilterSoon = debounce(applyQualityFilter, 150);
+  qualitySlider.addEventListener('input', function() {
+    qualityValue.textContent = qualitySlider.value + '%';
+    applyQualityFilterSoon();
+  });
+
+  // Yearbook mode favours small faces, which score lower - move the slider to its default
+  yearbookToggle.addEventListener('change', function() {
+    qualitySlider.value = yearbookToggle.checked ? CONFIG.ui.yearbookQualityThreshold : CONFIG.ui.qualityThreshold;
+    qualityValue.textContent = qualitySlider.value + '%';
+    applyQualityFilter();
+  });
+
+  // Global enhancement: applies to new photos and to every photo that has not picked its own
+  Object.keys(CONFIG.enhancement.presets).forEach(function(key) {
+    enhancementSelect.appendChild(new Option(CONFIG.enhancement.presets[key].label, key));
+  });
+  enhancementSelect.value = CONFIG.enhancement.default;
+  enhancementSelect.addEventListener('change', applyGlobalEnhancement);
+
+  // Multi-reference method, with an explanation of the selected one
+  Object.keys(MATCH_METHODS).forEach(function(key) {
+    matchMethod.appendChild(new Option(MATCH_METHODS[key].label, key));
+  });
+  votesNeeded.value = CONFIG.similarity.votesNeeded;
+  const showMatchMethod = function() {
+    matchMethodHelp.textContent = MATCH_METHODS[matchMethod.value].description;
+    votesNeededControl.classList.toggle('hidden', matchMethod.value !== 'vote');
+  };
+  showMatchMethod();
+  matchMethod.addEventListener('change', function() {
+    showMatchMethod();
+    refreshResults();
+  });
+  votesNeeded.addEventListener('change', refreshResults);
+
+  // Distance metric: switching re-scores with that metric's thresholds
+  Object.keys(CONFIG.similarity.metrics).forEach(function(key) {
+    distanceMetric.appendChild(new Option(CONFIG.similarity.metrics[key].label, key));
+  });
+  distanceMetric.value = CONFIG.similarity.metric;
+  distanceMetric.addEventListener('change', function() {
+    showThresholdSettings();
+    updateReferenceConsistency();
+    refreshResults();
+  });
+
+  deselectOutliersBtn.addEventListener('click', deselectReferenceOutliers);
+  autoPickBtn.addEventListener('click', autoPickSubject);
+
+  setupThresholdSettings();
+
   // Debug toggle checkbox
   debugToggle.addEventListener('change', function() {
     redrawAllReferences();
@@ -229,6 +677,119 @@ function setupUI() {
   });
 }
 
+/**
+ * Load threshold profiles and wire up the settings panel; every change re-scores the results on screen
+ */
+function setupThresholdSettings() {
+  thresholdProfiles.load();
+  renderProfileOptions();
+  showThresholdSettings();
+
+  profileSelect.addEventListener('change', function() {
+    thresholdProfiles.activate(profileSelect.value);
+    thresholdsModified = false;
+    showThresholdSettings();
+    refreshResults();
+  });
+
+  // Edits take effect straight away, but only become part of a profile when saved
+  const onEdit = function() {
+    const settings = readThresholdSettings();
+    try {
+      thresholdProfiles.preview(settings);
+    } catch (err) {
+      thresholdSettingsStatus.textContent = '⚠️ ' + err.message;
+      return;
+    }
+    thresholdsModified = true;
+    showThresholdSettings();
+    refreshResults();
+  };
+  Object.keys(thresholdInputs).forEach(function(key) {
+    thresholdInputs[key].addEventListener('change', onEdit);
+  });
+  matchSheetThreshold.addEventListener('change', onEdit);
+  zipThresholdsInput.addEventListener('change', onEdit);
+
+  saveProfileBtn.addEventListener('click', function() {
+    const suggested = thresholdProfiles.isBuiltIn(thresholdProfiles.active) ? '' : thresholdProfiles.active;
+    const name = prompt('Profile name:', suggested);
+    if (name === null) return;
+    try {
+      thresholdProfiles.saveProfile(name, readThresholdSettings());
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    thresholdsModified = false;
+    renderProfileOptions();
+    showThresholdSettings();
+  });
+
+  deleteProfileBtn.addEventListener('click', function() {
+    const name = profileSelect.value;
+    if (!confirm('Delete threshold profile "' + name + '"?')) return;
+    thresholdProfiles.deleteProfile(name);
+    thresholdsModified = false;
+    renderProfileOptions();
+    showThresholdSettings();
+    refreshResults();
+  });
+}
+
+/**
+ * Fill the profile dropdown and select the active profile
+ */
+function renderProfileOptions() {
+  profileSelect.innerHTML = '';
+  thresholdProfiles.names().forEach(function(name) {
+    profileSelect.appendChild(new Option(name, name));
+  });
+  profileSelect.value = thresholdProfiles.active;
+}
+
+/**
+ * Show the threshold settings in effect in the panel; distance limits are those of the selected metric
+ */
+function showThresholdSettings() {
+  const settings = currentSettings();
+  const modified = thresholdsModified;
+  const metric = distanceMetric.value;
+  thresholdMetricLabel.textContent = CONFIG.similarity.metrics[metric].label;
+  Object.keys(thresholdInputs).forEach(function(key) {
+    thresholdInputs[key].value = settings.thresholds[metric][key];
+  });
+  matchSheetThreshold.value = settings.matchThreshold;
+  zipThresholdsInput.value = settings.zipThresholds.join(', ');
+
+  const name = thresholdProfiles.active;
+  activeProfileName.textContent = name + (modified ? ' (modified)' : '');
+  deleteProfileBtn.disabled = thresholdProfiles.isBuiltIn(name);
+  thresholdSettingsStatus.textContent = modified
+    ? 'Changes apply now - save them as a profile to keep them'
+    : 'Faces match below the "good" distance; the export thresholds set which results the match sheet and ZIP buttons include.';
+}
+
+/**
+ * Read threshold settings from the panel inputs; other metrics keep their current distance limits
+ * @returns {{thresholds: Object, matchThreshold: number, zipThresholds: Array<number>}}
+ */
+function readThresholdSettings() {
+  const thresholds = currentSettings().thresholds;
+  Object.keys(thresholdInputs).forEach(function(key) {
+    thresholds[distanceMetric.value][key] = parseFloat(thresholdInputs[key].value);
+  });
+  return {
+    thresholds: thresholds,
+    matchThreshold: parseFloat(matchSheetThreshold.value),
+    zipThresholds: zipThresholdsInput.value.split(',').filter(function(v) {
+      return v.trim() !== '';
+    }).map(function(v) {
+      return parseFloat(v);
+    }).sort(function(a, b) { return a - b; })
+  };
+}
+
 /**
  * Handle multiple reference photos upload
  * @param {Array<File>} files - Array of image files
@@ -239,6 +800,7 @@ async function handleReferencePhotos(files) {
     alert('Maximum ' + CONFIG.ui.maxReferencePhotos + ' reference photos allowed. Please clear existing ones first.');
     return;
   }
+  autoPickStatus.textContent = '';
 
   for (const file of files) {
     if (!file.type.startsWith('image/')) continue;
@@ -251,11 +813,12 @@ async function handleReferencePhotos(files) {
 
     try {
       processor.updateProgress(10);
-      const img = await fileToImage(file);
+      let img = await fileToImage(file);
       processor.updateProgress(30);
 
       const canvasData = createCanvasForImage(img, CONFIG.ui.displayMaxWidth, CONFIG.ui.displayMaxHeight);
-      const canvas = canvasData.canvas;
+      let canvas = canvasData.canvas;
+      let displayScale = canvas.width / img.width;
 
       const wrapper = document.createElement('div');
       wrapper.style.position = 'relative';
@@ -283,75 +846,47 @@ async function handleReferencePhotos(files) {
         fileWrapper.appendChild(processorElement);
       }
 
-      // Yearbook mode: use higher resolution and lower quality threshold for small faces
-      const isYearbookMode = yearbookToggle.checked;
-      const detectionMaxW = isYearbookMode ? 2500 : 1024;
-      const qualityThreshold = isYearbookMode ? 15 : 30;
+      // Detect faces on the original image - coordinates will be in image space
+      const detected = await detectFacesWithRotation(img, detectionOptions('global'));
+      const detections = detected.detections;
 
-      // Detect faces on display canvas - coordinates will be in canvas space
-<<<<<<< HEAD
-      // Reference photos always use standard settings for best quality
-      let detections = await faceService.detectAllFaces(canvas, { useTiny: false, maxW: 1024 });
-=======
-      let detections = await faceService.detectAllFaces(canvas, { useTiny: false, maxW: detectionMaxW });
->>>>>>> 7f8f3048fe2216fada11de63867e7a08fdb787ce
+      // Sideways or upside-down photo: switch to the rotated image so overlays and exports match
+      if (detected.rotation) {
+        img = detected.image;
+        canvas = replaceDisplayCanvas(wrapper, canvas, img, detected.rotation, CONFIG.ui.displayMaxWidth, CONFIG.ui.displayMaxHeight);
+        displayScale = canvas.width / img.width;
+      }
 
       processor.updateProgress(75);
 
+      // Keep the photo so a missed face can still be marked by hand
       if (detections.length === 0) {
-        processor.remove();
-        showError(fileWrapper, 'No faces detected in ' + file.name);
-        continue;
+        showError(wrapper, 'No faces detected in ' + file.name + ' - use ✚ Face to mark one');
       }
 
-      // Filter out low-quality faces to improve accuracy (lower threshold in yearbook mode)
-      const initialCount = detections.length;
-      detections = detections.filter(d => d.quality >= qualityThreshold);
-
-      // Process each detected face
-      detections.forEach((d, j) => { // `j` is now the index in the *filtered* array
-        const sunglassesResult = detectSunglassesFast(img, d.landmarks);
-        d.hasSunglasses = sunglassesResult.hasSunglasses;
-        d.sunglassesConfidence = sunglassesResult.confidence;
+      // Keep every face - the quality slider decides which ones are compared
+      detections.forEach(d => {
+        analyzeOcclusions(img, d);
         d.selected = true; // All faces selected by default
-
-        const box = d.detection.box;
-        const ageSuffix = typeof d.age === 'number' ? ' (~' + Math.round(d.age) + 'y)' : '';
-        const sunglassesIndicator = d.hasSunglasses ? ' 🕶️' : '';
-        const labelText = 'Ref ' + (referencePhotos.length + 1) + '.' + (j + 1) + ageSuffix + sunglassesIndicator;
-
-        // Add a note if some faces were filtered out
-        if (initialCount > detections.length && j === 0) {
-          const note = `${initialCount - detections.length} low-quality face(s) ignored.`;
-          d.qualityNote = note; // We can display this later if needed.
-        }
-        const faceBox = placeFaceBox(wrapper, box, j, labelText, '#22c55e', canvas, d.quality);
-
-        // Make face box clickable to toggle selection
-        if (faceBox) {
-          faceBox.style.cursor = 'pointer';
-          faceBox.dataset.faceIndex = j;
-          faceBox.dataset.refIndex = referencePhotos.length;
-          faceBox.classList.add('face-selected');
-          faceBox.addEventListener('click', function(e) {
-            e.stopPropagation();
-            toggleFaceSelection(parseInt(faceBox.dataset.refIndex), parseInt(faceBox.dataset.faceIndex));
-          });
-        }
-
-        if (debugToggle.checked) drawLandmarksOnCanvas(canvas, d.landmarks);
       });
 
       processor.updateProgress(90);
 
-      referencePhotos.push({
+      const ref = {
         image: img,
         faces: detections,
         canvas: canvas,
+        displayScale: displayScale,
+        rotation: detected.rotation,
         wrapper: wrapper,
         file: file,
-        index: referencePhotos.length
-      });
+        index: referencePhotos.length,
+        enhancement: 'global'
+      };
+      referencePhotos.push(ref);
+      renderReferenceFaces(ref);
+      enableFaceDrawing(wrapper, function(box) { addManualFace(ref, box, true); });
+      addEnhancementControls(ref, true);
 
       processor.updateProgress(100);
 
@@ -386,9 +921,7 @@ function removeReferencePhoto(index) {
       const label = box.querySelector('.face-label');
       if (label) {
         const face = ref.faces[faceIdx];
-        const ageSuffix = typeof face.age === 'number' ? ' (~' + Math.round(face.age) + 'y)' : '';
-        const sunglassesIndicator = face.hasSunglasses ? ' 🕶️' : '';
-        label.textContent = 'Ref ' + (i + 1) + '.' + (faceIdx + 1) + ageSuffix + sunglassesIndicator;
+        label.textContent = 'Ref ' + (i + 1) + '.' + (faceIdx + 1) + faceLabelSuffix(face);
       }
     });
   });
@@ -400,27 +933,49 @@ function removeReferencePhoto(index) {
  * Redraw all reference images with current debug settings
  */
 function redrawAllReferences() {
-  referencePhotos.forEach((ref) => {
-    ref.wrapper.querySelectorAll('.face-box').forEach(b => b.remove());
-
-    // Clear and redraw canvas
-    const ctx = ref.canvas.getContext('2d');
-    ctx.clearRect(0, 0, ref.canvas.width, ref.canvas.height);
-    ctx.drawImage(ref.image, 0, 0, ref.canvas.width, ref.canvas.height);
-
-    // Redraw face boxes - coordinates are already in canvas space
-    ref.faces.forEach((d, i) => {
-      const box = d.detection.box;
-      const ageSuffix = typeof d.age === 'number' ? ' (~' + Math.round(d.age) + 'y)' : '';
-      const sunglassesIndicator = d.hasSunglasses ? ' 🕶️' : '';
-      const labelText = 'Ref ' + (ref.index + 1) + '.' + (i + 1) + ageSuffix + sunglassesIndicator;
-
-      placeFaceBox(ref.wrapper, box, i, labelText, '#22c55e', ref.canvas, d.quality);
+  referencePhotos.forEach(renderReferenceFaces);
+}
 
-      if (debugToggle.checked) {
-        drawLandmarksOnCanvas(ref.canvas, d.landmarks);
+/**
+ * Draw a reference image with its selectable face boxes
+ * @param {Object} ref - Reference photo entry
+ */
+function renderReferenceFaces(ref) {
+  ref.wrapper.querySelectorAll('.face-box').forEach(b => b.remove());
+
+  // Clear and redraw canvas
+  const ctx = ref.canvas.getContext('2d');
+  ctx.clearRect(0, 0, ref.canvas.width, ref.canvas.height);
+  ctx.drawImage(ref.image, 0, 0, ref.canvas.width, ref.canvas.height);
+
+  // Redraw face boxes - coordinates are in image space
+  ref.faces.forEach((d, i) => {
+    const box = toDisplayBox(d.detection.box, ref.displayScale);
+    const labelText = 'Ref ' + (ref.index + 1) + '.' + (i + 1) + faceLabelSuffix(d);
+
+    const faceBox = placeFaceBox(ref.wrapper, box, i, labelText, '#22c55e', ref.canvas, d.quality, d.pose);
+
+    // Make face box clickable to toggle selection
+    if (faceBox) {
+      faceBox.style.cursor = 'pointer';
+      faceBox.dataset.faceIndex = i;
+      faceBox.dataset.refIndex = ref.index;
+      faceBox.classList.add(d.selected ? 'face-selected' : 'face-deselected');
+      if (!d.selected) faceBox.style.opacity = '0.5';
+      faceBox.addEventListener('click', function(e) {
+        e.stopPropagation();
+        toggleFaceSelection(ref.index, i);
+      });
+      decorateFaceBox(faceBox, d);
+      if (d.referenceOutlier) {
+        flagFaceBox(faceBox, 'Far from the other reference faces (median ' + d.referenceOutlier.medianDistance.toFixed(3) +
+          ') - may be a different person');
       }
-    });
+    }
+
+    if (debugToggle.checked) {
+      drawLandmarksOnCanvas(ref.canvas, d.landmarks, ref.displayScale);
+    }
   });
 }
 
@@ -432,98 +987,332 @@ async function handleComparisons(files) {
   preview2.innerHTML = '';
   comparisons = [];
 
-  for (const file of files) {
-    if (!file.type.startsWith('image/')) continue;
+  const items = files
+    .filter(function(file) { return file.type.startsWith('image/'); })
+    .map(function(file) {
+      return {
+        name: file.name,
+        file: file,
+        getImage: function() { return fileToImage(file); }
+      };
+    });
+
+  await processComparisonItems(items);
+  setDisabledState();
+}
 
+/**
+ * Process comparison images concurrently (one per detection worker), keeping upload order
+ * @param {Array<{name: string, file: Object, getImage: Function, sourceUrl: string}>} items - Images to process
+ */
+async function processComparisonItems(items) {
+  // Create all wrappers up front so previews appear in upload order
+  const fileWrappers = items.map(function() {
     const fileWrapper = document.createElement('div');
     fileWrapper.className = 'comparison-file-wrapper';
     preview2.appendChild(fileWrapper);
+    return fileWrapper;
+  });
 
-    const processor = showProcessing(fileWrapper, 'Processing ' + file.name + '...');
+  const processed = new Array(items.length);
+  await runWithConcurrency(items, detectionPool.concurrency, async function(item, i) {
+    processed[i] = await processComparisonImage(item, fileWrappers[i]);
+  });
 
-    try {
-      processor.updateProgress(10);
-      const img = await fileToImage(file);
-      processor.updateProgress(30);
+  comparisons = processed.filter(Boolean);
+}
 
-      const canvasData = createCanvasForImage(img, CONFIG.ui.comparisonMaxWidth, CONFIG.ui.comparisonMaxHeight);
-      const canvas = canvasData.canvas;
+/**
+ * Load, detect and render one comparison image
+ * @param {{name: string, file: Object, getImage: Function, sourceUrl: string}} item - Image to process
+ * @param {HTMLElement} fileWrapper - Container for this image
+ * @returns {Promise<Object|null>} Comparison entry, or null if no faces were found
+ */
+async function processComparisonImage(item, fileWrapper) {
+  const processor = showProcessing(fileWrapper, 'Processing ' + item.name + '...');
 
-      const wrapper = document.createElement('div');
-      wrapper.style.position = 'relative';
-      wrapper.style.display = 'inline-block';
-      wrapper.dataset.fileName = file.name;
-      wrapper.appendChild(canvas);
+  try {
+    processor.updateProgress(10);
+    let img = await item.getImage();
+    processor.updateProgress(30);
+
+    const canvasData = createCanvasForImage(img, CONFIG.ui.comparisonMaxWidth, CONFIG.ui.comparisonMaxHeight);
+    let canvas = canvasData.canvas;
+    let displayScale = canvas.width / img.width;
+
+    const wrapper = document.createElement('div');
+    wrapper.style.position = 'relative';
+    wrapper.style.display = 'inline-block';
+    wrapper.dataset.fileName = item.name;
+    wrapper.appendChild(canvas);
+
+    processor.updateProgress(50);
+
+    // Replace content while keeping processor overlay
+    const processorElement = fileWrapper.querySelector('.processing-overlay');
+    fileWrapper.innerHTML = '';
+    fileWrapper.appendChild(wrapper);
+    if (processorElement) {
+      fileWrapper.appendChild(processorElement);
+    }
 
-      processor.updateProgress(50);
+    // Detect faces on the original image - coordinates will be in image space
+    const detected = await detectFacesWithRotation(img, detectionOptions('global'));
+    const detections = detected.detections;
 
-      // Replace content while keeping processor overlay
-      const processorElement = fileWrapper.querySelector('.processing-overlay');
-      fileWrapper.innerHTML = '';
-      fileWrapper.appendChild(wrapper);
-      if (processorElement) {
-        fileWrapper.appendChild(processorElement);
-      }
+    // Sideways or upside-down photo: switch to the rotated image so overlays and exports match
+    if (detected.rotation) {
+      img = detected.image;
+      canvas = replaceDisplayCanvas(wrapper, canvas, img, detected.rotation, CONFIG.ui.comparisonMaxWidth, CONFIG.ui.comparisonMaxHeight);
+      displayScale = canvas.width / img.width;
+    }
 
-      // Yearbook mode: use higher resolution and lower quality threshold for small faces
-      const isYearbookMode = yearbookToggle.checked;
-      const detectionMaxW = isYearbookMode ? 2500 : 1024;
-      const qualityThreshold = isYearbookMode ? 15 : 30;
+    processor.updateProgress(75);
 
-      // Detect faces on display canvas - coordinates will be in canvas space
-      let detections = await faceService.detectAllFaces(canvas, { useTiny: false, maxW: detectionMaxW });
+    // Keep the image so a missed face can still be marked by hand
+    if (detections.length === 0) {
+      showError(wrapper, 'No faces detected in ' + item.name + ' - use ✚ Face to mark one');
+    }
 
-      processor.updateProgress(75);
+    // Keep every face - the quality slider decides which ones are compared
+    detections.forEach(d => {
+      analyzeOcclusions(img, d);
+    });
 
-      if (detections.length === 0) {
-        processor.remove();
-        const err = document.createElement('div');
-        err.className = 'error';
-        err.textContent = 'No faces detected in ' + file.name;
-        wrapper.appendChild(err);
-      } else {
-        // Filter out low-quality faces to improve accuracy (lower threshold in yearbook mode)
-        const initialCount = detections.length;
-        detections = detections.filter(d => d.quality >= qualityThreshold);
-
-        detections.forEach((d, j) => { // `j` is now the index in the *filtered* array
-          const sunglassesResult = detectSunglassesFast(img, d.landmarks);
-          d.hasSunglasses = sunglassesResult.hasSunglasses;
-          d.sunglassesConfidence = sunglassesResult.confidence;
-
-          if (debugToggle.checked) drawLandmarksOnCanvas(canvas, d.landmarks);
-
-          const box = d.detection.box;
-          const ageSuffix = typeof d.age === 'number' ? ' (~' + Math.round(d.age) + 'y)' : '';
-          const sunglassesIndicator = d.hasSunglasses ? ' 🕶️' : '';
-
-          // Add a note if some faces were filtered out
-          if (initialCount > detections.length && j === 0) {
-            const note = `${initialCount - detections.length} low-quality face(s) ignored.`;
-            d.qualityNote = note;
-          }
-          placeFaceBox(wrapper, box, j, (j + 1) + ageSuffix + sunglassesIndicator, '#f59e0b', canvas, d.quality);
-        });
-
-        processor.updateProgress(90);
-
-        comparisons.push({
-          file: file,
-          image: img,
-          faces: detections,
-          canvas: canvas,
-          wrapper: wrapper
-        });
-
-        processor.updateProgress(100);
-      }
-    } catch (err) {
-      processor.remove();
-      showError(fileWrapper, 'Error processing ' + file.name + ': ' + err.message);
+    processor.updateProgress(90);
+
+    const entry = {
+      file: item.file,
+      image: img,
+      faces: detections,
+      canvas: canvas,
+      displayScale: displayScale,
+      rotation: detected.rotation,
+      wrapper: wrapper,
+      enhancement: 'global'
+    };
+    if (item.sourceUrl) entry.sourceUrl = item.sourceUrl;
+    renderComparisonFaces(entry);
+    enableFaceDrawing(wrapper, function(box) { addManualFace(entry, box, false); });
+    addEnhancementControls(entry, false);
+
+    processor.updateProgress(100);
+    return entry;
+  } catch (err) {
+    processor.remove();
+    showError(fileWrapper, 'Error processing ' + item.name + ': ' + err.message);
+    return null;
+  }
+}
+
+/**
+ * Build detection options from the current controls
+ * @param {string} enhancementKey - Enhancement preset key, or 'global' to follow the global setting
+ * @returns {Object} Options for detectionPool.detectAllFaces
+ */
+function detectionOptions(enhancementKey) {
+  // Yearbook mode: use higher resolution and tiling for small faces
+  const isYearbookMode = yearbookToggle.checked;
+  return {
+    useTiny: false,
+    maxW: isYearbookMode ? 2500 : 1024,
+    tiled: isYearbookMode,
+    ensemble: ensembleToggle.checked,
+    enhancement: enhancementPreset(resolveEnhancement(enhancementKey))
+  };
+}
+
+/**
+ * Resolve a per-image enhancement choice to a preset key
+ * @param {string} key - Preset key or 'global'
+ * @returns {string} Preset key
+ */
+function resolveEnhancement(key) {
+  return key === 'global' ? enhancementSelect.value : key;
+}
+
+/**
+ * Add the per-image enhancement picker and enhanced-preview toggle below a preview
+ * @param {Object} entry - Reference photo or comparison entry
+ * @param {boolean} isReference - Whether the entry is a reference photo
+ */
+function addEnhancementControls(entry, isReference) {
+  const tools = document.createElement('div');
+  tools.className = 'image-tools';
+
+  const select = document.createElement('select');
+  select.title = 'Enhancement applied before detection for this image';
+  select.appendChild(new Option('Enhance: global', 'global'));
+  Object.keys(CONFIG.enhancement.presets).forEach(function(key) {
+    select.appendChild(new Option('Enhance: ' + CONFIG.enhancement.presets[key].label, key));
+  });
+  select.value = entry.enhancement;
+  select.addEventListener('change', async function() {
+    entry.enhancement = select.value;
+    await redetectEntry(entry, isReference);
+  });
+
+  const previewBtn = document.createElement('button');
+  previewBtn.className = 'btn secondary small';
+  previewBtn.textContent = 'Show enhanced';
+  previewBtn.addEventListener('click', function() {
+    entry.showEnhanced = !entry.showEnhanced;
+    previewBtn.textContent = entry.showEnhanced ? 'Hide enhanced' : 'Show enhanced';
+    updateEnhancedPreview(entry);
+  });
+
+  tools.appendChild(select);
+  tools.appendChild(previewBtn);
+  entry.wrapper.parentElement.appendChild(tools);
+}
+
+/**
+ * Show (or remove) the enhanced version of a photo next to its preview
+ * @param {Object} entry - Reference photo or comparison entry
+ */
+function updateEnhancedPreview(entry) {
+  const fileWrapper = entry.wrapper.parentElement;
+  const existing = fileWrapper.querySelector('.enhanced-preview');
+  if (existing) existing.remove();
+  if (!entry.showEnhanced) return;
+
+  const key = resolveEnhancement(entry.enhancement);
+  const settings = enhancementPreset(key);
+
+  // Enhancing the display-sized image is enough for a visual check
+  const display = createCanvasForImage(entry.image, entry.canvas.width, entry.canvas.height).canvas;
+  const enhanced = settings ? enhanceImage(display, settings) : display;
+
+  const figure = document.createElement('figure');
+  figure.className = 'enhanced-preview';
+  figure.appendChild(enhanced);
+  const caption = document.createElement('figcaption');
+  caption.textContent = settings ? 'Enhanced: ' + CONFIG.enhancement.presets[key].label : 'No enhancement';
+  figure.appendChild(caption);
+  fileWrapper.insertBefore(figure, entry.wrapper.nextSibling);
+}
+
+/**
+ * Run detection again on one photo after its enhancement changed, keeping hand-marked and corrected faces
+ * @param {Object} entry - Reference photo or comparison entry
+ * @param {boolean} isReference - Whether the entry is a reference photo
+ */
+async function redetectEntry(entry, isReference) {
+  const processor = showProcessing(entry.wrapper, 'Re-detecting faces...');
+  try {
+    // The stored image is already upright, so no rotation retry is needed
+    const detections = await detectionPool.detectAllFaces(entry.image, detectionOptions(entry.enhancement));
+
+    // Faces marked or corrected by hand stay as the user left them, and deleted false positives stay deleted
+    const kept = entry.faces.filter(function(f) { return f.manual || f.adjusted; });
+    const blocked = (entry.deletedBoxes || []).concat(kept.map(function(f) { return f.detection.box; }));
+    const fresh = detections.filter(function(d) {
+      return !blocked.some(function(box) { return calculateIOU(box, d.detection.box) >= CONFIG.detection.redetectIoU; });
+    });
+
+    fresh.forEach(function(d) {
+      analyzeOcclusions(entry.image, d);
+      if (isReference) d.selected = previousSelection(entry.faces, d);
+    });
+    entry.faces = fresh.concat(kept);
+
+    entry.wrapper.querySelectorAll('.error').forEach(function(e) { e.remove(); });
+    if (entry.faces.length === 0) {
+      showError(entry.wrapper, 'No faces detected - use ✚ Face to mark one');
     }
+
+    if (isReference) renderReferenceFaces(entry);
+    else renderComparisonFaces(entry);
+    updateEnhancedPreview(entry);
+    setDisabledState();
+    refreshResults();
+  } catch (err) {
+    console.error('Re-detection failed:', err);
+    alert('Could not re-detect faces: ' + err.message);
+  } finally {
+    processor.remove();
   }
-  
-  setDisabledState();
+}
+
+/**
+ * Selection state a re-detected reference face inherits from the old face at the same place,
+ * so manual choices, auto-pick and deselected outliers survive a change of enhancement
+ * @param {Array<Object>} oldFaces - Faces before re-detection
+ * @param {Object} face - Re-detected face
+ * @returns {boolean} Selection of the best-overlapping old face, or true when no old face matches
+ */
+function previousSelection(oldFaces, face) {
+  let best = null;
+  let bestIoU = CONFIG.detection.redetectIoU;
+  oldFaces.forEach(function(old) {
+    const iou = calculateIOU(old.detection.box, face.detection.box);
+    if (iou >= bestIoU) {
+      best = old;
+      bestIoU = iou;
+    }
+  });
+  return best ? best.selected !== false : true;
+}
+
+/**
+ * Re-detect every photo that follows the global enhancement setting
+ */
+async function applyGlobalEnhancement() {
+  const targets = referencePhotos.map(function(ref) { return { entry: ref, isReference: true }; })
+    .concat(comparisons.map(function(comp) { return { entry: comp, isReference: false }; }))
+    .filter(function(t) { return t.entry.enhancement === 'global'; });
+
+  await runWithConcurrency(targets, detectionPool.concurrency, function(t) {
+    return redetectEntry(t.entry, t.isReference);
+  });
+}
+
+/**
+ * Detect faces, retrying on rotated copies when the upright image has none
+ * @param {HTMLImageElement|HTMLCanvasElement} img - Upright (EXIF-corrected) image
+ * @param {Object} options - Detection options
+ * @returns {Promise<{image: HTMLImageElement|HTMLCanvasElement, detections: Array, rotation: number}>}
+ *   The image the detections refer to, and the clockwise rotation applied to get it
+ */
+async function detectFacesWithRotation(img, options) {
+  const detections = await detectionPool.detectAllFaces(img, options);
+  if (detections.length > 0) {
+    return { image: img, detections: detections, rotation: 0 };
+  }
+
+  for (const degrees of CONFIG.detection.retryRotations) {
+    const rotated = rotateImage(img, degrees);
+    const rotatedDetections = await detectionPool.detectAllFaces(rotated, options);
+    if (rotatedDetections.length > 0) {
+      debug('Found ' + rotatedDetections.length + ' faces after rotating ' + degrees + '°');
+      return { image: rotated, detections: rotatedDetections, rotation: degrees };
+    }
+  }
+
+  return { image: img, detections: detections, rotation: 0 };
+}
+
+/**
+ * Swap a preview's display canvas for one drawn from a rotated image
+ * @param {HTMLElement} wrapper - Preview wrapper holding the canvas
+ * @param {HTMLCanvasElement} oldCanvas - Current display canvas
+ * @param {HTMLCanvasElement} img - Rotated image
+ * @param {number} rotation - Clockwise rotation in degrees
+ * @param {number} maxW - Maximum display width
+ * @param {number} maxH - Maximum display height
+ * @returns {HTMLCanvasElement} New display canvas
+ */
+function replaceDisplayCanvas(wrapper, oldCanvas, img, rotation, maxW, maxH) {
+  const canvas = createCanvasForImage(img, maxW, maxH).canvas;
+  wrapper.replaceChild(canvas, oldCanvas);
+
+  const badge = document.createElement('div');
+  badge.className = 'rotation-badge';
+  badge.textContent = '↻ ' + rotation + '°';
+  badge.title = 'No faces found upright - photo was rotated ' + rotation + '° clockwise';
+  wrapper.appendChild(badge);
+
+  return canvas;
 }
 
 /**
@@ -690,98 +1479,19 @@ async function processSelectedUrlImages() {
   preview2.innerHTML = '';
   comparisons = [];
 
-  // Process each selected image
-  for (const item of selectedItems) {
+  const items = [];
+  selectedItems.forEach(function(item) {
     const imgData = item._imageData;
-    if (!imgData || !imgData.image) continue;
-
-    const fileWrapper = document.createElement('div');
-    fileWrapper.className = 'comparison-file-wrapper';
-    preview2.appendChild(fileWrapper);
-
-    const processor = showProcessing(fileWrapper, 'Processing ' + imgData.filename + '...');
-
-    try {
-      processor.updateProgress(10);
-      const img = imgData.image;
-      processor.updateProgress(30);
-
-      const canvasData = createCanvasForImage(img, CONFIG.ui.comparisonMaxWidth, CONFIG.ui.comparisonMaxHeight);
-      const canvas = canvasData.canvas;
-
-      const wrapper = document.createElement('div');
-      wrapper.style.position = 'relative';
-      wrapper.style.display = 'inline-block';
-      wrapper.dataset.fileName = imgData.filename;
-      wrapper.appendChild(canvas);
-
-      processor.updateProgress(50);
-
-      // Replace content while keeping processor overlay
-      const processorElement = fileWrapper.querySelector('.processing-overlay');
-      fileWrapper.innerHTML = '';
-      fileWrapper.appendChild(wrapper);
-      if (processorElement) {
-        fileWrapper.appendChild(processorElement);
-      }
-
-      // Yearbook mode: use higher resolution and lower quality threshold for small faces
-      const isYearbookMode = yearbookToggle.checked;
-      const detectionMaxW = isYearbookMode ? 2500 : 1024;
-      const qualityThreshold = isYearbookMode ? 15 : 30;
-
-      // Detect faces on display canvas
-      let detections = await faceService.detectAllFaces(canvas, { useTiny: false, maxW: detectionMaxW });
-
-      processor.updateProgress(75);
-
-      if (detections.length === 0) {
-        processor.remove();
-        const err = document.createElement('div');
-        err.className = 'error';
-        err.textContent = 'No faces detected in ' + imgData.filename;
-        wrapper.appendChild(err);
-      } else {
-        // Filter out low-quality faces (lower threshold in yearbook mode)
-        const initialCount = detections.length;
-        detections = detections.filter(function(d) { return d.quality >= qualityThreshold; });
-
-        detections.forEach(function(d, j) {
-          const sunglassesResult = detectSunglassesFast(img, d.landmarks);
-          d.hasSunglasses = sunglassesResult.hasSunglasses;
-          d.sunglassesConfidence = sunglassesResult.confidence;
-
-          if (debugToggle.checked) drawLandmarksOnCanvas(canvas, d.landmarks);
-
-          const box = d.detection.box;
-          const ageSuffix = typeof d.age === 'number' ? ' (~' + Math.round(d.age) + 'y)' : '';
-          const sunglassesIndicator = d.hasSunglasses ? ' 🕶️' : '';
-
-          if (initialCount > detections.length && j === 0) {
-            d.qualityNote = (initialCount - detections.length) + ' low-quality face(s) ignored.';
-          }
-
-          placeFaceBox(wrapper, box, j, (j + 1) + ageSuffix + sunglassesIndicator, '#f59e0b', canvas, d.quality);
-        });
-
-        processor.updateProgress(90);
-
-        comparisons.push({
-          file: { name: imgData.filename }, // Fake file object for compatibility
-          image: img,
-          faces: detections,
-          canvas: canvas,
-          wrapper: wrapper,
-          sourceUrl: imgData.url
-        });
+    if (!imgData || !imgData.image) return;
+    items.push({
+      name: imgData.filename,
+      file: { name: imgData.filename }, // Fake file object for compatibility
+      getImage: function() { return Promise.resolve(imgData.image); },
+      sourceUrl: imgData.url
+    });
+  });
 
-        processor.updateProgress(100);
-      }
-    } catch (err) {
-      processor.remove();
-      showError(fileWrapper, 'Error processing ' + imgData.filename + ': ' + err.message);
-    }
-  }
+  await processComparisonItems(items);
 
   setDisabledState();
 
@@ -798,31 +1508,45 @@ async function processSelectedUrlImages() {
  * Redraw all comparison images with current debug settings
  */
 function redrawComparisons() {
-  comparisons.forEach((comp) => {
-    comp.wrapper.querySelectorAll('.face-box').forEach(b => b.remove());
+  comparisons.forEach(renderComparisonFaces);
+}
 
-    const ctx = comp.canvas.getContext('2d');
-    ctx.clearRect(0, 0, comp.canvas.width, comp.canvas.height);
-    ctx.drawImage(comp.image, 0, 0, comp.canvas.width, comp.canvas.height);
+/**
+ * Draw a comparison image with its face boxes
+ * @param {Object} comp - Comparison entry
+ */
+function renderComparisonFaces(comp) {
+  comp.wrapper.querySelectorAll('.face-box').forEach(b => b.remove());
 
-    comp.faces.forEach((d, i) => {
-      if (debugToggle.checked) {
-        drawLandmarksOnCanvas(comp.canvas, d.landmarks);
-      }
+  const ctx = comp.canvas.getContext('2d');
+  ctx.clearRect(0, 0, comp.canvas.width, comp.canvas.height);
+  ctx.drawImage(comp.image, 0, 0, comp.canvas.width, comp.canvas.height);
 
-      const box = d.detection.box;
-      const ageSuffix = typeof d.age === 'number' ? ' (~' + Math.round(d.age) + 'y)' : '';
-      const sunglassesIndicator = d.hasSunglasses ? ' 🕶️' : '';
+  comp.faces.forEach((d, i) => {
+    if (debugToggle.checked) {
+      drawLandmarksOnCanvas(comp.canvas, d.landmarks, comp.displayScale);
+    }
 
-      placeFaceBox(comp.wrapper, box, i, (i + 1) + ageSuffix + sunglassesIndicator, '#f59e0b', comp.canvas, d.quality);
-    });
+    const box = toDisplayBox(d.detection.box, comp.displayScale);
+    const faceBox = placeFaceBox(comp.wrapper, box, i, (i + 1) + faceLabelSuffix(d), '#f59e0b', comp.canvas, d.quality, d.pose);
+    decorateFaceBox(faceBox, d);
+
+    // False positives from the low-threshold pass can be removed or corrected in place
+    if (faceBox) {
+      makeFaceBoxEditable(faceBox, comp.canvas, {
+        onDelete: function() { deleteComparisonFace(comp, d); },
+        onChange: function(newBox) { correctComparisonFace(comp, d, newBox); }
+      });
+    }
   });
 }
 
 /**
  * Perform face comparison between reference(s) and comparison photos
+ * @param {Object} options - Comparison options
+ * @param {boolean} options.scroll - Scroll the results into view (default true)
  */
-async function performComparison() {
+async function performComparison(options = {}) {
   resultsDiv.classList.remove('hidden');
   resultsDiv.innerHTML = '<h2>📊 Comparison Results</h2>';
 
@@ -830,22 +1554,46 @@ async function performComparison() {
 
   // Collect only SELECTED reference descriptors
   const allRefDescriptors = [];
-  const allRefSunglasses = [];
+  const allRefOcclusions = [];
+  const allRefQualities = [];
   referencePhotos.forEach(ref => {
     ref.faces.forEach(face => {
-      if (face.selected) {
+      if (face.selected && isFaceUsable(face)) {
         allRefDescriptors.push(face.descriptor);
-        allRefSunglasses.push(face.hasSunglasses);
+        allRefOcclusions.push(face.occlusions);
+        allRefQualities.push(face.quality);
       }
     });
   });
-  const anyRefSunglasses = allRefSunglasses.some(function(s) { return s; });
+  const refOcclusion = averageOcclusionStrengths(allRefOcclusions);
+  const refOcclusionSummary = formatOcclusionStrengths(refOcclusion);
 
   if (allRefDescriptors.length === 0) {
     alert('Please select at least one reference face');
     return;
   }
+  // Check the reference set is one person before comparing against it
+  const flaggedReferences = updateReferenceConsistency();
+
   const method = matchMethod.value;
+  const metric = distanceMetric.value;
+  const maxTurn = parseInt(maxHeadTurn.value, 10);
+  // At least one reference has to agree, whatever is typed into the field
+  const methodOptions = { weights: allRefQualities, votesNeeded: Math.max(1, parseInt(votesNeeded.value, 10) || CONFIG.similarity.votesNeeded) };
+  // The centroid template is the same for every face, so it is built once per run
+  if (method === 'centroid') methodOptions.template = buildCentroidTemplate(allRefDescriptors, metric);
+  comparisonSettings = {
+    metric: metric,
+    method: method,
+    votesNeeded: method === 'vote' ? Math.min(methodOptions.votesNeeded, allRefDescriptors.length) : null,
+    profile: thresholdProfiles.active + (thresholdsModified ? ' (modified)' : ''),
+    thresholds: Object.assign({}, CONFIG.similarity.thresholds[metric]),
+    referenceFaces: allRefDescriptors.length,
+    flaggedReferences: flaggedReferences,
+    templateSpread: methodOptions.template ? methodOptions.template.spread : null,
+    alignFaces: CONFIG.detection.alignFaces
+  };
+  methodOptions.calibration = comparisonSettings;
 
   // Info banner
   const infoBanner = document.createElement('div');
@@ -854,25 +1602,64 @@ async function performComparison() {
     '<strong>Multi-Reference Comparison Active</strong><br>' +
     'Using ' + allRefDescriptors.length + ' reference face' + (allRefDescriptors.length > 1 ? 's' : '') + ' ' +
     'from ' + referencePhotos.length + ' photo' + (referencePhotos.length > 1 ? 's' : '') + '<br>' +
-    'Method: <strong>' + method.charAt(0).toUpperCase() + method.slice(1) + '</strong>' +
-    (anyRefSunglasses ? '<br>🕶️ Sunglasses detected in reference - thresholds adjusted' : '');
+    'Method: <strong>' + formatMatchMethod(comparisonSettings) + '</strong>' +
+    ' · Distance: <strong>' + CONFIG.similarity.metrics[metric].label + '</strong>' +
+    ' · Thresholds: ' + comparisonSettings.profile +
+    (methodOptions.template
+      ? '<br>Centroid template spread: <strong>' + methodOptions.template.spread.toFixed(3) + '</strong> (' +
+        describeTemplateSpread(methodOptions.template.spread, metric) + ' reference set - mean distance of the references to the template)'
+      : '') +
+    (flaggedReferences > 0
+      ? '<br>⚠️ ' + flaggedReferences + ' reference face' + (flaggedReferences > 1 ? 's are' : ' is') +
+        ' far from the rest of the reference set - check the flagged faces above'
+      : '') +
+    '<br>Face alignment: ' + (CONFIG.detection.alignFaces ? 'on' : 'off') +
+    (refOcclusionSummary
+      ? '<br>' + occlusionIcons(refOcclusion).trim() + ' Reference occlusion: ' + refOcclusionSummary + ' - thresholds adjusted in proportion'
+      : '');
   resultsDiv.appendChild(infoBanner);
+  resultsDiv.appendChild(createResultFilters());
 
+  // Calibration labels belong to a reference set / candidate face pair, not to a file name
+  const referenceKey = referenceSetKey(allRefDescriptors);
   const allComparisons = [];
   let matches = 0;
   let total = 0;
+  let skippedByPose = 0;
+  let skippedByQuality = 0;
+  let skippedByFilters = 0;
+  const minQuality = qualityThreshold();
 
   // Compute all similarities
   comparisons.forEach((comp, imgIndex) => {
     comp.faces.forEach((face, faceIndex) => {
+      if (!isFaceUsable(face)) {
+        skippedByQuality++;
+        return;
+      }
+
+      // Optional pose filter: faces turned too far away give unreliable descriptors
+      if (maxTurn > 0 && headTurnAngle(face.pose) > maxTurn) {
+        skippedByPose++;
+        return;
+      }
+
+      // Age / gender / expression filters - hidden faces are left out of display and export
+      if (!passesAttributeFilters(face)) {
+        skippedByFilters++;
+        return;
+      }
       total++;
       
-      const anySunglasses = anyRefSunglasses || face.hasSunglasses;
+      const faceOcclusion = averageOcclusionStrengths([face.occlusions]);
+      const occlusion = combineOcclusionStrengths(refOcclusion, faceOcclusion);
       const result = computeMultiReferenceSimilarity(
         allRefDescriptors,
         face.descriptor,
-        anySunglasses,
-        method
+        occlusion,
+        method,
+        metric,
+        methodOptions
       );
 
       allComparisons.push({
@@ -882,14 +1669,29 @@ async function performComparison() {
         similarity: result.similarity,
         confidence: result.confidence,
         isMatch: result.isMatch,
+        probability: result.probability,
+        calibrationKey: pairKey(referenceKey, face.descriptor),
         distance: result.finalDistance,
         distances: result.distances,
         method: result.method,
+        votes: result.votes,
+        metric: result.metric,
         referenceCount: result.referenceCount,
-        hasSunglasses: face.hasSunglasses,
-        referenceSunglasses: anyRefSunglasses,
+        occlusions: face.occlusions || null,
+        occlusionStrengths: { reference: refOcclusion, candidate: faceOcclusion, combined: occlusion },
+        thresholdAdjustment: result.thresholdAdjustment,
+        thresholdAdjustments: result.thresholdAdjustments,
         compAge: typeof face.age === 'number' ? face.age : null,
-        quality: face.quality
+        gender: face.gender || null,
+        genderProbability: face.genderProbability || null,
+        expression: face.expression || null,
+        manual: !!face.manual,
+        detectors: face.detectors || [],
+        refined: face.refined || null,
+        quality: face.quality,
+        qualityScores: face.qualityScores || null,
+        qualityLimit: face.qualityLimit || null,
+        pose: face.pose
       });
       
       if (result.isMatch) matches++;
@@ -910,10 +1712,9 @@ async function performComparison() {
 
     // Extract face thumbnail
     const compSet = comparisons[c.imageIndex];
-    if (compSet && compSet.canvas && compSet.faces && compSet.faces[c.faceIndex]) {
+    if (compSet && compSet.image && compSet.faces && compSet.faces[c.faceIndex]) {
       const face = compSet.faces[c.faceIndex];
-      const box = face.detection.box;
-      const faceCrop = cropFaceFromCanvas(compSet.canvas, box, 0.3);
+      const faceCrop = cropFace(compSet.image, face.detection.box, 0.3, CONFIG.ui.thumbnailMaxSize);
 
       // Create thumbnail container
       const thumbnailDiv = document.createElement('div');
@@ -949,10 +1750,11 @@ async function performComparison() {
       root.classList.add('no-thumbnail');
     }
 
-    const sunglassesNote = c.hasSunglasses || c.referenceSunglasses ? ' 🕶️' : '';
+    const occlusionNote = occlusionIcons(c.thresholdAdjustments);
 
-    root.querySelector('.title').textContent = '#' + (idx + 1) + ': ' + c.fileName + ' - Face ' + (c.faceIndex + 1) + sunglassesNote;
-    root.querySelector('.similarity-score').textContent = c.similarity.toFixed(1) + '% Match';
+    root.querySelector('.title').textContent = '#' + (idx + 1) + ': ' + c.fileName + ' - Face ' + (c.faceIndex + 1) + (c.manual ? ' (manual)' : '') + occlusionNote;
+    root.querySelector('.similarity-score').textContent = c.similarity.toFixed(1) + '% Match' +
+      (c.probability !== null ? ' · ' + formatProbability(c.probability) + ' same person (calibrated)' : '');
 
     const fill = root.querySelector('.progress-fill');
     fill.style.width = c.similarity + '%';
@@ -973,19 +1775,42 @@ async function performComparison() {
 
     let detailsHTML =
       'Confidence: <strong>' + c.confidence + '</strong><br>' +
-      'Distance: ' + distanceRange + '<br>' +
-      'Quality: ' + c.quality + '%<br>' +
-      'References used: ' + c.referenceCount;
+      (c.probability !== null
+        ? 'Calibrated probability: ' + formatProbability(c.probability) + ' <small>(' + calibration.describe(comparisonSettings) + ')</small><br>'
+        : '') +
+      'Distance: ' + distanceRange + ' <small>(' + CONFIG.similarity.metrics[c.metric].label + ')</small><br>' +
+      (c.method === 'centroid' ? 'Distance to centroid template: ' + c.distance.toFixed(3) + '<br>' : '') +
+      'Quality: ' + formatQuality(c) + '<br>' +
+      (c.qualityScores
+        ? '<small>Sharpness ' + c.qualityScores.sharpness + '% · Exposure ' + c.qualityScores.exposure +
+          '% · Contrast ' + c.qualityScores.contrast + '%</small><br>'
+        : '') +
+      'Pose: ' + formatPose(c.pose) + '<br>' +
+      'Found by: ' + formatDetectors(c.detectors) + '<br>' +
+      (c.refined ? '<small>🔍 Small face refined from a ' + c.refined.scale.toFixed(1) + '× upscaled crop</small><br>' : '') +
+      'References used: ' + c.referenceCount +
+      (c.votes ? '<br>Votes: ' + c.votes.agree + ' of ' + c.referenceCount + ' references match (' + c.votes.needed + ' needed)' : '');
 
     if (typeof c.compAge === 'number') {
       detailsHTML += '<br>Age: ~' + Math.round(c.compAge) + 'y';
     }
+    if (c.gender) {
+      detailsHTML += '<br>Gender: ' + c.gender + ' (' + Math.round(c.genderProbability * 100) + '%)';
+    }
+    if (c.expression) {
+      detailsHTML += '<br>Expression: ' + c.expression.name + ' (' + Math.round(c.expression.probability * 100) + '%)';
+    }
 
-    if (c.hasSunglasses || c.referenceSunglasses) {
-      detailsHTML += '<br><small>🕶️ Sunglasses detected - thresholds adjusted</small>';
+    if (c.occlusions) {
+      detailsHTML += '<br>Occlusion: ' + formatOcclusionScores(c.occlusions);
+    }
+    if (c.thresholdAdjustment > 0) {
+      detailsHTML += '<br>Thresholds relaxed by +' + c.thresholdAdjustment.toFixed(3) + ':' + formatThresholdAdjustments(c);
     }
 
-    root.querySelector('.details').innerHTML = detailsHTML;
+    const details = root.querySelector('.details');
+    details.innerHTML = detailsHTML;
+    details.parentNode.insertBefore(createCalibrationLabels(c), details.nextSibling);
     resultsDiv.appendChild(node);
   });
 
@@ -997,8 +1822,22 @@ async function performComparison() {
     '<p>Found <strong>' + matches + '</strong> likely match' + (matches !== 1 ? 'es' : '') + ' out of <strong>' + total + '</strong> face' + (total !== 1 ? 's' : '') + '.</p>' +
     '<p style="margin-top: 8px; font-size: 0.9em; color: var(--text-muted);">' +
     'Multi-reference comparison improves accuracy by comparing against ' + allRefDescriptors.length + ' reference samples' +
-    '</p>';
+    '</p>' +
+    (skippedByPose > 0
+      ? '<p style="margin-top: 8px; font-size: 0.9em; color: var(--text-muted);">' +
+        skippedByPose + ' face' + (skippedByPose !== 1 ? 's' : '') + ' ignored (turned more than ' + maxTurn + '°)</p>'
+      : '') +
+    (skippedByQuality > 0
+      ? '<p style="margin-top: 8px; font-size: 0.9em; color: var(--text-muted);">' +
+        skippedByQuality + ' face' + (skippedByQuality !== 1 ? 's' : '') + ' below ' + minQuality + '% quality not compared</p>'
+      : '') +
+    (skippedByFilters > 0
+      ? '<p style="margin-top: 8px; font-size: 0.9em; color: var(--text-muted);">' +
+        skippedByFilters + ' face' + (skippedByFilters !== 1 ? 's' : '') + ' hidden by age / gender / expression filters</p>'
+      : '');
   resultsDiv.appendChild(summary);
+  resultsDiv.appendChild(createCalibrationPanel());
+  updateCalibrationStatus();
 
   // Export buttons
   const hasOver60 = allComparisons.some(function(c) { return c.similarity >= CONFIG.export.matchThreshold; });
@@ -1032,8 +1871,16 @@ async function performComparison() {
   zipDescription.style.marginBottom = '15px';
   zipExportDiv.appendChild(zipDescription);
 
+  const cropsToggle = document.createElement('label');
+  cropsToggle.className = 'toggle';
+  cropsToggle.style.marginBottom = '15px';
+  cropsToggle.innerHTML = '<input type="checkbox"> Include full-resolution face crops folder';
+  const cropsCheckbox = cropsToggle.querySelector('input');
+  cropsCheckbox.checked = CONFIG.export.includeFaceCrops;
+  zipExportDiv.appendChild(cropsToggle);
+
   // Threshold buttons
-  const thresholds = [60, 75, 80, 90];
+  const thresholds = CONFIG.export.zipThresholds;
   const buttonContainer = document.createElement('div');
   buttonContainer.style.display = 'flex';
   buttonContainer.style.gap = '10px';
@@ -1048,7 +1895,7 @@ async function performComparison() {
 
     if (matchCount > 0) {
       btn.addEventListener('click', function() {
-        exportMatchingPhotosToZip(threshold);
+        exportMatchingPhotosToZip(threshold, { includeFaceCrops: cropsCheckbox.checked });
       });
     }
 
@@ -1058,7 +1905,173 @@ async function performComparison() {
   zipExportDiv.appendChild(buttonContainer);
   resultsDiv.appendChild(zipExportDiv);
 
-  resultsDiv.scrollIntoView({ behavior: 'smooth' });
+  if (options.scroll !== false) {
+    resultsDiv.scrollIntoView({ behavior: 'smooth' });
+  }
+}
+
+/**
+ * Build the age / gender / expression filter bar shown above the results
+ * @returns {HTMLElement} Filter bar bound to resultFilters
+ */
+function createResultFilters() {
+  const bar = document.createElement('div');
+  bar.className = 'result-filters';
+
+  const expressionOptions = ['any', 'happy', 'neutral', 'surprised', 'sad', 'angry', 'fearful', 'disgusted'];
+  bar.innerHTML =
+    '<label>Age <input type="number" class="filter-min-age" min="0" max="100" placeholder="min"> – ' +
+    '<input type="number" class="filter-max-age" min="0" max="100" placeholder="max"></label>' +
+    '<label class="toggle"><input type="checkbox" class="filter-children"> Exclude children (&lt;' + CONFIG.ui.childAgeLimit + ')</label>' +
+    '<label>Gender <select class="filter-gender">' +
+      '<option value="any">Any</option><option value="female">Female</option><option value="male">Male</option>' +
+    '</select></label>' +
+    '<label>Expression <select class="filter-expression">' +
+      expressionOptions.map(function(name) {
+        const label = name === 'any' ? 'Any' : name === 'happy' ? 'Smiling' : name.charAt(0).toUpperCase() + name.slice(1);
+        return '<option value="' + name + '">' + label + '</option>';
+      }).join('') +
+    '</select></label>';
+
+  const minAge = bar.querySelector('.filter-min-age');
+  const maxAge = bar.querySelector('.filter-max-age');
+  const children = bar.querySelector('.filter-children');
+  const gender = bar.querySelector('.filter-gender');
+  const expression = bar.querySelector('.filter-expression');
+
+  minAge.value = resultFilters.minAge !== null ? resultFilters.minAge : '';
+  maxAge.value = resultFilters.maxAge !== null ? resultFilters.maxAge : '';
+  children.checked = resultFilters.excludeChildren;
+  gender.value = resultFilters.gender;
+  expression.value = resultFilters.expression;
+
+  const onChange = function() {
+    resultFilters.minAge = minAge.value === '' ? null : parseFloat(minAge.value);
+    resultFilters.maxAge = maxAge.value === '' ? null : parseFloat(maxAge.value);
+    resultFilters.excludeChildren = children.checked;
+    resultFilters.gender = gender.value;
+    resultFilters.expression = expression.value;
+    performComparison({ scroll: false });
+  };
+  [minAge, maxAge, children, gender, expression].forEach(function(el) {
+    el.addEventListener('change', onChange);
+  });
+
+  return bar;
+}
+
+/**
+ * Build the "same person / different person" buttons used to label a result for calibration
+ * @param {Object} c - Comparison result
+ * @returns {HTMLElement} Label row
+ */
+function createCalibrationLabels(c) {
+  const row = document.createElement('div');
+  row.className = 'calibration-labels';
+  row.innerHTML =
+    '<span>Label for calibration:</span>' +
+    '<button class="btn secondary small" data-same="true">✓ Same person</button>' +
+    '<button class="btn secondary small" data-same="false">✗ Different</button>';
+
+  const key = c.calibrationKey;
+  const settings = comparisonSettings;
+  const buttons = row.querySelectorAll('button');
+  const showLabel = function() {
+    const label = calibration.labelFor(key, settings);
+    buttons.forEach(function(btn) {
+      btn.classList.toggle('active', label !== null && String(label) === btn.dataset.same);
+    });
+  };
+
+  buttons.forEach(function(btn) {
+    btn.addEventListener('click', function() {
+      const same = btn.dataset.same === 'true';
+      // Clicking the current label again removes it
+      calibration.setLabel(key, settings, c.distance, calibration.labelFor(key, settings) === same ? null : same);
+      showLabel();
+      updateCalibrationStatus();
+    });
+  });
+
+  showLabel();
+  return row;
+}
+
+/**
+ * Build the calibration panel shown below the results summary
+ * @returns {HTMLElement} Panel with label counts, method choice and fit / reset buttons
+ */
+function createCalibrationPanel() {
+  const panel = document.createElement('div');
+  panel.className = 'calibration-panel';
+  panel.innerHTML =
+    '<h3>Match probability calibration</h3>' +
+    '<p class="helper-text">The % match above is a score, not a probability. Label results as the same or a ' +
+    'different person, then fit a calibration to get the probability that a match is really them.</p>' +
+    '<p class="calibration-status"></p>' +
+    '<div class="calibration-actions">' +
+      '<label class="toggle">Method <select class="calibration-method">' +
+        Object.keys(CALIBRATION_METHODS).map(function(key) {
+          return '<option value="' + key + '">' + CALIBRATION_METHODS[key] + '</option>';
+        }).join('') +
+      '</select></label>' +
+      '<button class="btn secondary small calibration-fit">Fit calibration</button>' +
+      '<button class="btn secondary small calibration-reset">Clear labels</button>' +
+    '</div>';
+
+  // Labels and fits are kept per metric, match method and alignment, since distances under other settings are not comparable
+  const settings = comparisonSettings;
+  const model = calibration.modelFor(settings);
+  const methodSelect = panel.querySelector('.calibration-method');
+  methodSelect.value = model ? model.method : CONFIG.calibration.method;
+
+  panel.querySelector('.calibration-fit').addEventListener('click', function() {
+    try {
+      calibration.fit(methodSelect.value, settings);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    performComparison({ scroll: false });
+  });
+
+  panel.querySelector('.calibration-reset').addEventListener('click', function() {
+    if (!confirm('Remove all calibration labels and the fitted calibration?')) return;
+    calibration.clear();
+    performComparison({ scroll: false });
+  });
+
+  return panel;
+}
+
+/**
+ * Refresh the label counts and model description in the calibration panel
+ */
+function updateCalibrationStatus() {
+  const status = resultsDiv.querySelector('.calibration-status');
+  if (!status) return;
+  const counts = calibration.counts(comparisonSettings);
+  status.textContent = counts.total + ' labelled pair' + (counts.total !== 1 ? 's' : '') +
+    ' (' + counts.same + ' same, ' + counts.different + ' different) with ' +
+    CONFIG.similarity.metrics[comparisonSettings.metric].label + ' distance, ' + formatMatchMethod(comparisonSettings) +
+    ', alignment ' + (comparisonSettings.alignFaces ? 'on' : 'off') + ' · ' + calibration.describe(comparisonSettings);
+}
+
+/**
+ * Whether a face passes the results attribute filters
+ * @param {Object} face - Face detection
+ * @returns {boolean}
+ */
+function passesAttributeFilters(face) {
+  const age = typeof face.age === 'number' ? face.age : null;
+  if (age !== null) {
+    if (resultFilters.excludeChildren && age < CONFIG.ui.childAgeLimit) return false;
+    if (resultFilters.minAge !== null && age < resultFilters.minAge) return false;
+    if (resultFilters.maxAge !== null && age > resultFilters.maxAge) return false;
+  }
+  if (resultFilters.gender !== 'any' && face.gender !== resultFilters.gender) return false;
+  if (resultFilters.expression !== 'any' && (!face.expression || face.expression.name !== resultFilters.expression)) return false;
+  return true;
 }
 
 /**
@@ -1090,7 +2103,10 @@ function updateComparisonVisuals(comparisonsArr) {
         
         box.title = 'Similarity: ' + comp.similarity.toFixed(1) + '%\n' +
                     'Confidence: ' + comp.confidence + '\n' +
-                    'Quality: ' + comp.quality + '%\n' +
+                    'Quality: ' + formatQuality(comp) + '\n' +
+                    'Pose: ' + formatPose(comp.pose) + '\n' +
+                    'Found by: ' + formatDetectors(comp.detectors) + '\n' +
+                    (comp.refined ? 'Refined from upscaled crop\n' : '') +
                     'Method: ' + comp.method;
       }
     });
@@ -1098,28 +2114,121 @@ function updateComparisonVisuals(comparisonsArr) {
 }
 
 /**
- * Crop a face region from canvas with padding
- * @param {HTMLCanvasElement} canvas - Source canvas
- * @param {Object} box - Face bounding box
+ * Format the list of detectors that found a face
+ * @param {Array<string>} detectors - Detector names (e.g. ['ssd', 'tiny-416'])
+ * @returns {string} e.g. "SSD + Tiny 416"
+ */
+function formatDetectors(detectors) {
+  if (!detectors || !detectors.length) return 'unknown';
+  return detectors.map(function(name) {
+    if (name === 'manual') return 'hand';
+    return name
+      .replace('ssd-tiled', 'SSD (tiled)')
+      .replace('ssd', 'SSD')
+      .replace(/^tiny-?/, 'Tiny ')
+      .trim();
+  }).join(' + ');
+}
+
+/**
+ * Name of the multi-reference method of a run
+ * @param {{method: string, votesNeeded: number|null}} settings - Comparison settings
+ * @returns {string} e.g. "Trimmed average" or "2-of-n vote"
+ */
+function formatMatchMethod(settings) {
+  if (settings.method === 'vote') return settings.votesNeeded + '-of-n vote';
+  return MATCH_METHODS[settings.method].label.replace(' (recommended)', '');
+}
+
+/**
+ * Format a calibrated probability
+ * @param {number} probability - Probability (0-1)
+ * @returns {string} e.g. "41%", "<1%" or ">99%"
+ */
+function formatProbability(probability) {
+  if (probability < 0.01) return '<1%';
+  if (probability > 0.99) return '>99%';
+  return Math.round(probability * 100) + '%';
+}
+
+/**
+ * Format a quality score with the factor that lowered it
+ * @param {{quality: number, qualityLimit: string|null}} c - Comparison result
+ * @returns {string} e.g. "54% (limited by blur)"
+ */
+function formatQuality(c) {
+  const limit = describeQualityLimit(c.qualityLimit);
+  return c.quality + '%' + (limit ? ' (limited by ' + limit + ')' : '');
+}
+
+/**
+ * Format the per-region occlusion scores of a face
+ * @param {Object} occlusions - Result of detectOcclusions
+ * @returns {string} e.g. "eyes 12% · nose/mouth 71% · forehead 8%"
+ */
+function formatOcclusionScores(occlusions) {
+  return Object.keys(OCCLUSION_REGIONS).map(function(region) {
+    const o = occlusions[region];
+    return OCCLUSION_REGIONS[region].label + ' ' + (o ? Math.round(o.score * 100) : 0) + '%';
+  }).join(' · ');
+}
+
+/**
+ * Format the non-zero occlusion strengths of a set of faces
+ * @param {Object<string, number>} strengths - Strength (0-1) per region
+ * @returns {string} e.g. "eyes 62% · forehead 15%", or an empty string when nothing is occluded
+ */
+function formatOcclusionStrengths(strengths) {
+  return Object.keys(OCCLUSION_REGIONS).filter(function(region) {
+    return strengths[region] > 0;
+  }).map(function(region) {
+    return OCCLUSION_REGIONS[region].label + ' ' + Math.round(strengths[region] * 100) + '%';
+  }).join(' · ');
+}
+
+/**
+ * Explain each region's share of a result's threshold adjustment
+ * @param {Object} c - Comparison result with thresholdAdjustments and occlusionStrengths
+ * @returns {string} One <small> line per region, e.g.
+ *   "🕶️ sunglasses +0.045 = 0.100 × 45% (reference 20%, this face 31%)"
+ */
+function formatThresholdAdjustments(c) {
+  return Object.keys(c.thresholdAdjustments).map(function(region) {
+    const info = OCCLUSION_REGIONS[region];
+    const base = occlusionBaseAdjustment(region, c.metric);
+    return '<br><small>' + info.icon + ' ' + info.cause + ' +' + c.thresholdAdjustments[region].toFixed(3) +
+      ' = ' + base.toFixed(3) + ' × ' + Math.round(c.occlusionStrengths.combined[region] * 100) + '%' +
+      ' (reference ' + Math.round(c.occlusionStrengths.reference[region] * 100) + '%, this face ' +
+      Math.round(c.occlusionStrengths.candidate[region] * 100) + '%)</small>';
+  }).join('');
+}
+
+/**
+ * Crop a face region from an image at native resolution, with padding
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Original image
+ * @param {Object} box - Face bounding box in image pixels
  * @param {number} paddingRatio - Padding ratio (0-1)
+ * @param {number} maxSize - Optional maximum output side length (downscales large crops)
  * @returns {HTMLCanvasElement} Cropped canvas
  */
-function cropFaceFromCanvas(canvas, box, paddingRatio) {
+function cropFace(source, box, paddingRatio, maxSize) {
   paddingRatio = paddingRatio || 0.3;
   const padX = box.width * paddingRatio;
   const padY = box.height * paddingRatio;
 
-  let sx = Math.max(0, box.x - padX);
-  let sy = Math.max(0, box.y - padY);
-  let sw = Math.min(canvas.width - sx, box.width + padX * 2);
-  let sh = Math.min(canvas.height - sy, box.height + padY * 2);
+  const sx = Math.max(0, Math.floor(box.x - padX));
+  const sy = Math.max(0, Math.floor(box.y - padY));
+  const sw = Math.max(1, Math.min(source.width - sx, Math.ceil(box.width + padX * 2)));
+  const sh = Math.max(1, Math.min(source.height - sy, Math.ceil(box.height + padY * 2)));
+
+  const scale = maxSize ? Math.min(1, maxSize / Math.max(sw, sh)) : 1;
 
   const out = document.createElement('canvas');
-  out.width = sw;
-  out.height = sh;
+  out.width = Math.round(sw * scale);
+  out.height = Math.round(sh * scale);
 
   const outCtx = out.getContext('2d');
-  outCtx.drawImage(canvas, sx, sy, sw, sh, 0, 0, sw, sh);
+  outCtx.drawImage(source, sx, sy, sw, sh, 0, 0, out.width, out.height);
 
   return out;
 }
@@ -1147,8 +2256,12 @@ function drawCropIntoTile(ctx, cropCanvas, x, y, tileW, tileH) {
 /**
  * Export matching photos to ZIP file with threshold filter
  * @param {number} threshold - Minimum similarity percentage (60, 75, 80, 90)
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeFaceCrops - Add a face_crops folder with full-resolution crops
  */
-async function exportMatchingPhotosToZip(threshold) {
+async function exportMatchingPhotosToZip(threshold, options) {
+  options = options || {};
+
   if (!comparisonResults || !comparisonResults.length) {
     alert('No comparison results available.');
     return;
@@ -1172,6 +2285,7 @@ async function exportMatchingPhotosToZip(threshold) {
 
     const zip = new JSZip();
     const folder = zip.folder('matched_faces_' + threshold + 'percent');
+    const cropsFolder = options.includeFaceCrops ? folder.folder('face_crops') : null;
 
     // Track which files we've already added to avoid duplicates
     const addedFiles = new Map();
@@ -1189,23 +2303,34 @@ async function exportMatchingPhotosToZip(threshold) {
       // Skip if we've already added this exact file/face combination
       if (addedFiles.has(fileKey)) continue;
 
-      // Read the original file and add to ZIP
-      try {
-        const fileData = await readFileAsArrayBuffer(compSet.file);
+      // Create a unique filename with similarity score
+      const nameParts = fileName.split('.');
+      const ext = nameParts.pop();
+      const baseName = nameParts.join('.');
+      const newBaseName = baseName + '_face' + (match.faceIndex + 1) + (match.manual ? '_manual' : '') + '_' + match.similarity.toFixed(1) + 'percent';
 
-        // Create a unique filename with similarity score
-        const nameParts = fileName.split('.');
-        const ext = nameParts.pop();
-        const baseName = nameParts.join('.');
-        const newFileName = baseName + '_face' + (match.faceIndex + 1) + '_' + match.similarity.toFixed(1) + 'percent.' + ext;
+      try {
+        if (cropsFolder && compSet.image && compSet.faces[match.faceIndex]) {
+          const crop = cropFace(compSet.image, compSet.faces[match.faceIndex].detection.box, 0.4);
+          cropsFolder.file(newBaseName + '.png', await canvasToBlob(crop));
+        }
 
-        folder.file(newFileName, fileData);
+        // Read the original file and add to ZIP
+        const fileData = await readFileAsArrayBuffer(compSet.file);
+        folder.file(newBaseName + '.' + ext, fileData);
         addedFiles.set(fileKey, true);
       } catch (err) {
         console.error('Error adding file to ZIP:', fileName, err);
       }
     }
 
+    // Record how the matches were scored so the run can be reproduced
+    folder.file('comparison_settings.json', JSON.stringify(Object.assign({
+      exportedAt: new Date().toISOString(),
+      exportThreshold: threshold,
+      metricLabel: CONFIG.similarity.metrics[comparisonSettings.metric].label
+    }, comparisonSettings), null, 2));
+
     // Generate ZIP file
     const zipBlob = await zip.generateAsync({
       type: 'blob',
@@ -1229,6 +2354,20 @@ async function exportMatchingPhotosToZip(threshold) {
   }
 }
 
+/**
+ * Encode a canvas as a PNG blob
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Blob>} PNG data
+ */
+function canvasToBlob(canvas) {
+  return new Promise(function(resolve, reject) {
+    canvas.toBlob(function(blob) {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to encode image'));
+    }, 'image/png');
+  });
+}
+
 /**
  * Read a File object as ArrayBuffer
  * @param {File} file - File to read
@@ -1247,7 +2386,7 @@ function readFileAsArrayBuffer(file) {
  * Export match sheet as PNG and PDF
  */
 function exportMatchSheet() {
-  if (!referencePhotos || !referencePhotos.length || !referencePhotos[0].faces || !referencePhotos[0].canvas) {
+  if (!referencePhotos || !referencePhotos.length || !referencePhotos[0].faces || !referencePhotos[0].image) {
     alert('No reference faces available.');
     return;
   }
@@ -1265,23 +2404,21 @@ function exportMatchSheet() {
     return;
   }
 
-  // Use first reference face for export (could be enhanced to use best quality)
-  const refFace = referencePhotos[0].faces[0];
-  const refBox = refFace.detection.box;
-  const refCanvas = referencePhotos[0].canvas;
-  const refCrop = cropFaceFromCanvas(refCanvas, refBox, 0.4);
+  // Use the first reference face that was compared (could be enhanced to use best quality)
+  const refPhoto = referencePhotos.find(r => r.faces.some(f => f.selected && isFaceUsable(f))) || referencePhotos[0];
+  const refFace = refPhoto.faces.find(f => f.selected && isFaceUsable(f)) || refPhoto.faces[0];
+  const refCrop = cropFace(refPhoto.image, refFace.detection.box, 0.4);
   const refAge = typeof refFace.age === 'number' ? Math.round(refFace.age) : null;
 
   // Match crops
   const matchCrops = [];
   matches.forEach(function(m) {
     const compSet = comparisons[m.imageIndex];
-    if (!compSet || !compSet.canvas) return;
+    if (!compSet || !compSet.image) return;
     const face = compSet.faces[m.faceIndex];
     if (!face) return;
 
-    const box = face.detection.box;
-    const faceCrop = cropFaceFromCanvas(compSet.canvas, box, 0.4);
+    const faceCrop = cropFace(compSet.image, face.detection.box, 0.4);
     const compAge = typeof face.age === 'number' ? Math.round(face.age) : null;
 
     matchCrops.push({
@@ -1289,6 +2426,7 @@ function exportMatchSheet() {
       similarity: m.similarity,
       fileName: m.fileName,
       faceIndex: m.faceIndex,
+      manual: m.manual,
       age: compAge
     });
   });
@@ -1309,10 +2447,14 @@ function exportMatchSheet() {
   const width = padding * 2 + cols * tileSize + (cols - 1) * gap;
   const height = padding * 3 + refAreaHeight + rows * (tileSize + 42) + (rows - 1) * gap + 40;
 
+  // Render at sheetScale so the full-resolution crops survive into print
+  const sheetScale = CONFIG.export.sheetScale;
   const outCanvas = document.createElement('canvas');
-  outCanvas.width = width;
-  outCanvas.height = height;
+  outCanvas.width = width * sheetScale;
+  outCanvas.height = height * sheetScale;
   const ctx = outCanvas.getContext('2d');
+  ctx.scale(sheetScale, sheetScale);
+  ctx.imageSmoothingQuality = 'high';
 
   // Background
   ctx.fillStyle = '#020617';
@@ -1353,7 +2495,7 @@ function exportMatchSheet() {
     const line1Y = y + tileSize + 16;
     const line2Y = y + tileSize + 32;
 
-    const labelPercent = m.similarity.toFixed(1) + '%';
+    const labelPercent = m.similarity.toFixed(1) + '%' + (m.manual ? ' (manual)' : '');
     ctx.fillStyle = '#e5e7eb';
     ctx.font = '13px system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
     ctx.textAlign = 'center';
@@ -1370,6 +2512,13 @@ function exportMatchSheet() {
   ctx.fillStyle = '#6b7280';
   ctx.font = '11px system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
   ctx.textAlign = 'center';
+  ctx.fillText(
+    CONFIG.similarity.metrics[comparisonSettings.metric].label + ' distance • ' + formatMatchMethod(comparisonSettings) +
+      ' of ' + comparisonSettings.referenceFaces + ' reference' + (comparisonSettings.referenceFaces !== 1 ? 's' : '') +
+      ' • ' + comparisonSettings.profile + ' thresholds',
+    width / 2,
+    height - 30
+  );
   ctx.fillText(
     'Generated ' + new Date().toLocaleDateString() + ' • ' + matches.length + ' matches found',
     width / 2,
@@ -1394,12 +2543,12 @@ function exportMatchSheet() {
     }
 
     const pdf = new jsPDF({
-      orientation: outCanvas.width > outCanvas.height ? 'landscape' : 'portrait',
+      orientation: width > height ? 'landscape' : 'portrait',
       unit: 'pt',
-      format: [outCanvas.width, outCanvas.height]
+      format: [width, height]
     });
 
-    pdf.addImage(pngDataUrl, 'PNG', 0, 0, outCanvas.width, outCanvas.height);
+    pdf.addImage(pngDataUrl, 'PNG', 0, 0, width, height);
     pdf.save('face_match_sheet.pdf');
   } catch (err) {
     console.error('PDF export failed:', err);
@@ -1415,18 +2564,17 @@ function clearAll() {
   
   preview1.innerHTML = '';
   preview2.innerHTML = '';
-  resultsDiv.innerHTML = '';
-  resultsDiv.classList.add('hidden');
+  clearResults();
   referencePhotos = [];
   comparisons = [];
-  comparisonResults = [];
+  autoPickStatus.textContent = '';
   fileInput1.value = '';
   fileInput2.value = '';
   setDisabledState();
 }
 
 /**
- * Convert a File to an Image element
+ * Convert a File to an upright Image element (or canvas, when EXIF orientation had to be applied)
  */
 function fileToImage(file) {
   return new Promise(function(resolve, reject) {
@@ -1439,16 +2587,15 @@ function fileToImage(file) {
     };
     reader.onerror = function() { reject(new Error('Failed to read file')); };
     reader.readAsDataURL(file);
+  }).then(function(img) {
+    return correctOrientation(file, img);
   });
 }
 
 // Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', function() {
   setupUI();
-  boot().then(function() {
-    // Check for images passed via URL hash (from browser extension)
-    checkForExtensionImages();
-  });
+  boot();
 });
 
 /**
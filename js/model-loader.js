@@ -0,0 +1,234 @@
+// model-loader.js - Model weight loading from configurable sources with persistent cache
+import { CONFIG } from './config.js';
+import { debug } from './utils.js';
+
+// Cache keys are independent of the source so cached weights work for any later session
+const CACHE_KEY_PREFIX = '__facecompare_models__/';
+const SOURCE_HEADER = 'X-Model-Source';
+
+/**
+ * Resolve the ordered list of model sources to try
+ * @param {FileList|Array<File>} folderFiles - Files from a user-selected model folder (optional)
+ * @returns {Array<{type: string, location: string, files: Map<string, File>|null, explicit: boolean}>}
+ *   Sources in priority order; explicit is set for a chosen folder or a ?models= URL, which bypass the cache
+ */
+export function resolveModelSources(folderFiles = null) {
+  if (folderFiles && folderFiles.length) {
+    const files = new Map();
+    Array.from(folderFiles).forEach(function(file) { files.set(file.name, file); });
+    return [{ type: 'folder', location: 'selected folder', files: files, explicit: true }];
+  }
+
+  const cfg = CONFIG.models;
+  const params = new URLSearchParams(window.location.search);
+  const customUrl = params.get('models') || cfg.customUrl;
+
+  // Locations are made absolute so they resolve the same inside detection workers
+  const byType = {
+    local: { type: 'local', location: toAbsoluteUrl(cfg.localPath), files: null },
+    custom: customUrl ? { type: 'custom', location: toAbsoluteUrl(customUrl), files: null } : null,
+    cdn: { type: 'cdn', location: toAbsoluteUrl(cfg.cdnUrl), files: null }
+  };
+
+  // A ?models= URL parameter always wins over the configured source
+  if (params.get('models')) return [Object.assign(byType.custom, { explicit: true })];
+
+  if (cfg.source === 'auto') {
+    return [byType.custom, byType.local, byType.cdn].filter(Boolean);
+  }
+
+  const source = byType[cfg.source];
+  if (!source) {
+    throw new Error('Unknown model source "' + cfg.source + '" in CONFIG.models.source');
+  }
+  return [source];
+}
+
+/**
+ * Load weights for one network, trying the cache first and then each source in order.
+ * An explicitly chosen source is always read, and replaces the cached copy.
+ * @param {Object} net - face-api network (e.g. faceapi.nets.ssdMobilenetv1)
+ * @param {string} modelName - Model file prefix (e.g. 'ssd_mobilenetv1_model')
+ * @param {Array} sources - Sources from resolveModelSources
+ * @returns {Promise<{location: string, fromCache: boolean}>} Where the weights came from
+ */
+export async function loadNetWeights(net, modelName, sources) {
+  const manifestFile = modelName + '-weights_manifest.json';
+  const cache = await openModelCache();
+
+  if (cache && !sources.some(function(source) { return source.explicit; })) {
+    const cached = await readFromCache(cache, manifestFile);
+    if (cached) {
+      try {
+        await applyWeights(net, cached.manifest, cached.fetchShard);
+        debug('Loaded ' + modelName + ' from cache (originally ' + cached.location + ')');
+        return { location: cached.location, fromCache: true };
+      } catch (err) {
+        // Corrupt or partial cache entry - fall through and reload from source
+        debug('Cached weights for ' + modelName + ' unusable:', err);
+      }
+    }
+  }
+
+  let lastError = null;
+  for (const source of sources) {
+    let currentFile = manifestFile;
+    try {
+      const manifest = JSON.parse(await readText(source, manifestFile));
+      const shards = new Map();
+
+      await applyWeights(net, manifest, async function(fileName) {
+        currentFile = fileName;
+        const buffer = await readBuffer(source, fileName);
+        shards.set(fileName, buffer);
+        return buffer;
+      });
+
+      if (cache) {
+        await writeToCache(cache, manifestFile, manifest, shards, source.location);
+      }
+      return { location: source.location, fromCache: false };
+    } catch (err) {
+      debug('Failed to load ' + currentFile + ' from ' + source.location + ':', err);
+      err.modelFile = currentFile;
+      err.modelSource = source.location;
+      lastError = err;
+    }
+  }
+
+  throw lastError || new Error('No model sources configured');
+}
+
+/**
+ * Remove all cached model weights
+ * @returns {Promise<boolean>} Whether a cache was deleted
+ */
+export async function clearModelCache() {
+  if (typeof caches === 'undefined') return false;
+  return caches.delete(CONFIG.models.cacheName);
+}
+
+/**
+ * Decode a weights manifest and load it into a network
+ * @param {Object} net - face-api network
+ * @param {Array} manifest - Parsed weights manifest
+ * @param {Function} fetchShard - Async (fileName) => ArrayBuffer
+ */
+async function applyWeights(net, manifest, fetchShard) {
+  const loadWeights = faceapi.tf.io.weightsLoaderFactory(function(paths) {
+    // Shards are fetched one at a time so a failure can be attributed to a file
+    return paths.reduce(function(chain, path) {
+      return chain.then(async function(buffers) {
+        buffers.push(await fetchShard(path.split('/').pop()));
+        return buffers;
+      });
+    }, Promise.resolve([]));
+  });
+  const weightMap = await loadWeights(manifest, '/');
+  net.loadFromWeightMap(weightMap);
+}
+
+/**
+ * Open the model cache, or null when Cache Storage is unavailable or disabled
+ * @returns {Promise<Cache|null>}
+ */
+async function openModelCache() {
+  if (!CONFIG.models.useCache || typeof caches === 'undefined') return null;
+  try {
+    return await caches.open(CONFIG.models.cacheName);
+  } catch (err) {
+    // Cache Storage is blocked in insecure contexts and some private windows
+    debug('Model cache unavailable:', err);
+    return null;
+  }
+}
+
+/**
+ * Read a manifest and a shard fetcher from the cache
+ * @param {Cache} cache - Open model cache
+ * @param {string} manifestFile - Manifest file name
+ * @returns {Promise<{manifest: Array, location: string, fetchShard: Function}|null>}
+ */
+async function readFromCache(cache, manifestFile) {
+  const response = await cache.match(cacheKey(manifestFile));
+  if (!response) return null;
+
+  return {
+    manifest: await response.json(),
+    location: response.headers.get(SOURCE_HEADER) || 'cache',
+    fetchShard: async function(fileName) {
+      const shard = await cache.match(cacheKey(fileName));
+      if (!shard) throw new Error('Missing cached shard ' + fileName);
+      return shard.arrayBuffer();
+    }
+  };
+}
+
+/**
+ * Store a manifest and its shards in the cache
+ * @param {Cache} cache - Open model cache
+ * @param {string} manifestFile - Manifest file name
+ * @param {Array} manifest - Parsed manifest
+ * @param {Map<string, ArrayBuffer>} shards - Shard buffers by file name
+ * @param {string} location - Where the weights were loaded from
+ */
+async function writeToCache(cache, manifestFile, manifest, shards, location) {
+  const headers = {};
+  headers[SOURCE_HEADER] = location;
+  try {
+    // Shards first, so a manifest in the cache always has its shards
+    for (const [fileName, buffer] of shards) {
+      await cache.put(cacheKey(fileName), new Response(buffer, { headers: headers }));
+    }
+    await cache.put(cacheKey(manifestFile), new Response(JSON.stringify(manifest), { headers: headers }));
+  } catch (err) {
+    // Quota errors should not stop the app from starting
+    debug('Could not cache ' + manifestFile + ':', err);
+  }
+}
+
+/**
+ * Read a text file from a source
+ * @param {Object} source - Model source
+ * @param {string} fileName - File name
+ * @returns {Promise<string>}
+ */
+async function readText(source, fileName) {
+  if (source.files) return getFolderFile(source, fileName).text();
+  return (await fetchOk(source.location + fileName)).text();
+}
+
+/**
+ * Read a binary file from a source
+ * @param {Object} source - Model source
+ * @param {string} fileName - File name
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readBuffer(source, fileName) {
+  if (source.files) return getFolderFile(source, fileName).arrayBuffer();
+  return (await fetchOk(source.location + fileName)).arrayBuffer();
+}
+
+function getFolderFile(source, fileName) {
+  const file = source.files.get(fileName);
+  if (!file) throw new Error('File not found in selected folder');
+  return file;
+}
+
+async function fetchOk(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error('HTTP ' + response.status + ' ' + response.statusText);
+  }
+  return response;
+}
+
+function cacheKey(fileName) {
+  // Origin-rooted so the page and detection workers share the same entries
+  return new URL('/' + CACHE_KEY_PREFIX + fileName, self.location.origin).href;
+}
+
+function toAbsoluteUrl(url) {
+  const absolute = new URL(url, window.location.href).href;
+  return absolute.endsWith('/') ? absolute : absolute + '/';
+}
@@ -0,0 +1,221 @@
+// occlusion.js - Occlusion analysis for the eye, nose/mouth and forehead regions
+import { CONFIG } from './config.js';
+import { debug, clamp, createCanvas } from './utils.js';
+import { detectSunglassesFast } from './sunglasses.js';
+
+// Regions scored by detectOcclusions, with the usual cause of each
+export const OCCLUSION_REGIONS = {
+  eyes: { label: 'eyes', cause: 'sunglasses', icon: '🕶️' },
+  lowerFace: { label: 'nose/mouth', cause: 'mask or scarf', icon: '😷' },
+  forehead: { label: 'forehead', cause: 'hat or cap', icon: '🧢' }
+};
+
+// Faces are resampled so the jaw width (landmarks 0-16) spans this many pixels
+const ANALYSIS_FACE_WIDTH = 100;
+
+/**
+ * Score how strongly each face region is covered
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+ * @param {Object} landmarks - Face landmarks, in image pixels
+ * @returns {{eyes: {score: number, occluded: boolean}, lowerFace: {score: number, occluded: boolean},
+ *   forehead: {score: number, occluded: boolean}}} Scores (0-1) per region
+ */
+export function detectOcclusions(image, landmarks) {
+  const sunglasses = detectSunglassesFast(image, landmarks);
+  const skin = analyzeSkinRegions(image, landmarks);
+  const threshold = CONFIG.occlusion.threshold;
+
+  const result = {
+    eyes: { score: sunglasses.confidence, occluded: sunglasses.hasSunglasses },
+    lowerFace: { score: skin.lowerFace, occluded: skin.lowerFace > threshold },
+    forehead: { score: skin.forehead, occluded: skin.forehead > threshold }
+  };
+
+  debug('occlusions', result);
+  return result;
+}
+
+/**
+ * How strongly an occlusion score should relax the match thresholds
+ * @param {number} score - Region occlusion score (0-1)
+ * @returns {number} Strength (0-1), rising linearly across CONFIG.occlusion.adjustmentRamp
+ */
+export function occlusionStrength(score) {
+  const [low, high] = CONFIG.occlusion.adjustmentRamp;
+  return clamp((score - low) / (high - low), 0, 1);
+}
+
+/**
+ * Average occlusion strength per region over several faces, e.g. the selected references
+ * @param {Array<Object>} occlusionsList - Results of detectOcclusions (missing entries and regions not flagged
+ *   as occluded count as unoccluded)
+ * @returns {Object<string, number>} Mean strength (0-1) per region
+ */
+export function averageOcclusionStrengths(occlusionsList) {
+  const strengths = {};
+  Object.keys(OCCLUSION_REGIONS).forEach(function(region) {
+    const sum = occlusionsList.reduce(function(acc, o) {
+      return acc + (o && o[region] && o[region].occluded ? occlusionStrength(o[region].score) : 0);
+    }, 0);
+    strengths[region] = occlusionsList.length > 0 ? sum / occlusionsList.length : 0;
+  });
+  return strengths;
+}
+
+/**
+ * Occlusion strength of a reference/candidate pair: either face being covered weakens the comparison,
+ * both being covered weakens it further
+ * @param {Object<string, number>} reference - Strength per region of the references
+ * @param {Object<string, number>} candidate - Strength per region of the compared face
+ * @returns {Object<string, number>} Combined strength (0-1) per region
+ */
+export function combineOcclusionStrengths(reference, candidate) {
+  const combined = {};
+  Object.keys(OCCLUSION_REGIONS).forEach(function(region) {
+    combined[region] = 1 - (1 - (reference[region] || 0)) * (1 - (candidate[region] || 0));
+  });
+  return combined;
+}
+
+/**
+ * Compare the nose/mouth and forehead regions against visible skin on the nose bridge
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+ * @param {Object} landmarks - Face landmarks, in image pixels
+ * @returns {{lowerFace: number, forehead: number}} Occlusion scores (0-1)
+ */
+function analyzeSkinRegions(image, landmarks) {
+  try {
+    const pts = landmarks.positions;
+    const faceWidth = Math.hypot(pts[16].x - pts[0].x, pts[16].y - pts[0].y);
+    if (faceWidth < 1) return { lowerFace: 0, forehead: 0 };
+
+    const browTop = Math.min.apply(null, pts.slice(17, 27).map(function(p) { return p.y; }));
+    const regions = {
+      // Nose bridge between the eyes - usually visible under masks and hats
+      skin: boxAround(pts.slice(27, 30), faceWidth * 0.06, 0),
+      // Nose and cheeks down to the nostrils - under a mask or scarf, but clear of the lips,
+      // so lipstick, a beard or a shadowed mouth does not read as cover
+      lowerFace: {
+        x: (pts[2].x + pts[31].x) / 2,
+        y: pts[29].y,
+        width: (pts[14].x + pts[35].x) / 2 - (pts[2].x + pts[31].x) / 2,
+        height: pts[33].y - pts[29].y
+      },
+      forehead: {
+        x: pts[19].x,
+        y: browTop - faceWidth * 0.3,
+        width: pts[24].x - pts[19].x,
+        height: faceWidth * 0.22
+      }
+    };
+
+    // Draw only the area around the face, at a fixed scale
+    const scale = ANALYSIS_FACE_WIDTH / faceWidth;
+    const area = boxAround(pts, faceWidth * 0.1, 0);
+    area.y = Math.min(area.y, regions.forehead.y);
+    area.height = Math.max.apply(null, pts.map(function(p) { return p.y; })) - area.y;
+
+    const canvas = createCanvas(Math.max(1, Math.round(area.width * scale)), Math.max(1, Math.round(area.height * scale)));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, area.x, area.y, area.width, area.height, 0, 0, canvas.width, canvas.height);
+
+    const sample = function(box) {
+      return sampleRegion(ctx, canvas, {
+        x: (box.x - area.x) * scale,
+        y: (box.y - area.y) * scale,
+        width: box.width * scale,
+        height: box.height * scale
+      });
+    };
+
+    const skin = sample(regions.skin);
+    const lower = sample(regions.lowerFace);
+    const forehead = sample(regions.forehead);
+    if (!skin) return { lowerFace: 0, forehead: 0 };
+
+    // Masks and scarves: a different colour from skin, and flat where the nostrils and nose shading would add detail
+    const lowerFace = lower
+      ? colorScore(lower, skin) * 0.45 + brightnessScore(lower, skin) * 0.25 + (1 - clamp(lower.stdDev / 40, 0, 1)) * 0.3
+      : 0;
+
+    // Hats and caps: fabric colour or the shadow of a brim above the brows
+    const foreheadScore = forehead
+      ? colorScore(forehead, skin) * 0.6 + brightnessScore(forehead, skin) * 0.4
+      : 0;
+
+    return { lowerFace: clamp(lowerFace, 0, 1), forehead: clamp(foreheadScore, 0, 1) };
+  } catch (e) {
+    debug('occlusion error', e);
+    return { lowerFace: 0, forehead: 0 };
+  }
+}
+
+/**
+ * Mean colour, chromaticity and brightness spread of a canvas region
+ * @param {CanvasRenderingContext2D} ctx - Context to read from
+ * @param {HTMLCanvasElement} canvas - Canvas being read
+ * @param {{x: number, y: number, width: number, height: number}} box - Region in canvas pixels
+ * @returns {{r: number, g: number, brightness: number, stdDev: number}|null} Statistics, or null if the region is empty
+ */
+function sampleRegion(ctx, canvas, box) {
+  const x = Math.max(0, Math.floor(box.x));
+  const y = Math.max(0, Math.floor(box.y));
+  const w = Math.min(canvas.width - x, Math.ceil(box.width));
+  const h = Math.min(canvas.height - y, Math.ceil(box.height));
+  if (w <= 0 || h <= 0) return null;
+
+  const d = ctx.getImageData(x, y, w, h).data;
+  const n = d.length / 4;
+  let r = 0;
+  let g = 0;
+  let sum = 0;
+  let sumSq = 0;
+
+  for (let i = 0; i < d.length; i += 4) {
+    const total = d[i] + d[i + 1] + d[i + 2] + 1;
+    const brightness = (d[i] + d[i + 1] + d[i + 2]) / 3;
+    r += d[i] / total;
+    g += d[i + 1] / total;
+    sum += brightness;
+    sumSq += brightness * brightness;
+  }
+
+  const mean = sum / n;
+  return {
+    r: r / n,
+    g: g / n,
+    brightness: mean,
+    stdDev: Math.sqrt(Math.max(0, sumSq / n - mean * mean))
+  };
+}
+
+/**
+ * Chromaticity difference from skin - independent of how bright the light is
+ */
+function colorScore(region, skin) {
+  return clamp(Math.hypot(region.r - skin.r, region.g - skin.g) / 0.06, 0, 1);
+}
+
+function brightnessScore(region, skin) {
+  return clamp(Math.abs(region.brightness - skin.brightness) / 80, 0, 1);
+}
+
+/**
+ * Bounding box of a set of points with padding
+ * @param {Array<{x: number, y: number}>} points - Points
+ * @param {number} padX - Horizontal padding on each side
+ * @param {number} padY - Vertical padding on each side
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function boxAround(points, padX, padY) {
+  const xs = points.map(function(p) { return p.x; });
+  const ys = points.map(function(p) { return p.y; });
+  const x = Math.min.apply(null, xs) - padX;
+  const y = Math.min.apply(null, ys) - padY;
+  return {
+    x: x,
+    y: y,
+    width: Math.max.apply(null, xs) + padX - x,
+    height: Math.max.apply(null, ys) + padY - y
+  };
+}
@@ -0,0 +1,124 @@
+// orientation.js - EXIF orientation handling and image rotation
+import { debug } from './utils.js';
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+/**
+ * Read the EXIF orientation (1-8) from a JPEG file
+ * @param {Blob} file - Image file
+ * @returns {Promise<number>} Orientation value, 1 when absent or not a JPEG
+ */
+export async function readExifOrientation(file) {
+  try {
+    // EXIF lives in the APP1 segment near the start of the file
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // 'Exif'
+        return readTiffOrientation(view, offset + 10);
+      }
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // Start of scan - no more metadata
+      offset += 2 + length;
+    }
+  } catch (e) {
+    debug('EXIF read failed', e);
+  }
+  return 1;
+}
+
+/**
+ * Apply an EXIF orientation to an image, unless the browser already did
+ * @param {Blob} file - Original file (for reading EXIF)
+ * @param {HTMLImageElement} img - Decoded image
+ * @returns {Promise<HTMLImageElement|HTMLCanvasElement>} Upright image
+ */
+export async function correctOrientation(file, img) {
+  const orientation = await readExifOrientation(file);
+  if (orientation <= 1 || browserAppliesExifOrientation()) return img;
+
+  debug('Applying EXIF orientation', orientation, 'to', file.name);
+  return applyExifOrientation(img, orientation);
+}
+
+/**
+ * Draw an image into a canvas with an EXIF orientation transform applied
+ * @param {HTMLImageElement|HTMLCanvasElement} img - Source image as stored in the file
+ * @param {number} orientation - EXIF orientation (2-8)
+ * @returns {HTMLCanvasElement} Upright canvas
+ */
+export function applyExifOrientation(img, orientation) {
+  const w = img.width;
+  const h = img.height;
+  const swap = orientation >= 5;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = swap ? h : w;
+  canvas.height = swap ? w : h;
+  const ctx = canvas.getContext('2d');
+
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, w, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, w, h); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, h); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, h, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, h, w); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, w); break;
+  }
+
+  ctx.drawImage(img, 0, 0);
+  return canvas;
+}
+
+/**
+ * Rotate an image clockwise by a multiple of 90 degrees
+ * @param {HTMLImageElement|HTMLCanvasElement} img - Source image
+ * @param {number} degrees - 90, 180 or 270
+ * @returns {HTMLCanvasElement} Rotated canvas
+ */
+export function rotateImage(img, degrees) {
+  const swap = degrees === 90 || degrees === 270;
+  const canvas = document.createElement('canvas');
+  canvas.width = swap ? img.height : img.width;
+  canvas.height = swap ? img.width : img.height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(degrees * Math.PI / 180);
+  ctx.drawImage(img, -img.width / 2, -img.height / 2);
+  return canvas;
+}
+
+/**
+ * Whether <img> decoding already honours EXIF orientation (image-orientation: from-image)
+ * @returns {boolean}
+ */
+function browserAppliesExifOrientation() {
+  return getComputedStyle(document.documentElement).imageOrientation === 'from-image';
+}
+
+/**
+ * Find the orientation tag in a TIFF header's first IFD
+ * @param {DataView} view - File bytes
+ * @param {number} tiffStart - Offset of the TIFF header
+ * @returns {number} Orientation value, 1 if missing
+ */
+function readTiffOrientation(view, tiffStart) {
+  const little = view.getUint16(tiffStart) === 0x4949; // 'II'
+  const ifdOffset = tiffStart + view.getUint32(tiffStart + 4, little);
+  const entries = view.getUint16(ifdOffset, little);
+
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    if (view.getUint16(entry, little) === EXIF_ORIENTATION_TAG) {
+      const value = view.getUint16(entry + 8, little);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
@@ -0,0 +1,127 @@
+// pose.js - Head pose estimation from 68-point landmarks
+
+// Generic 3D face model (arbitrary units, y up, z towards the camera) for six stable landmarks
+const MODEL_POINTS = [
+  { index: 30, x: 0, y: 0, z: 0 },          // nose tip
+  { index: 8, x: 0, y: -330, z: -65 },      // chin
+  { index: 36, x: -225, y: 170, z: -135 },  // outer corner of the image-left eye
+  { index: 45, x: 225, y: 170, z: -135 },   // outer corner of the image-right eye
+  { index: 48, x: -150, y: -150, z: -125 }, // image-left mouth corner
+  { index: 54, x: 150, y: -150, z: -125 }   // image-right mouth corner
+];
+
+/**
+ * Estimate head pose by fitting a scaled-orthographic projection of a generic face model
+ * @param {Object} landmarks - 68-point landmarks ({positions: [{x, y}]})
+ * @returns {{yaw: number, pitch: number, roll: number}|null} Angles in degrees, or null if landmarks are missing.
+ *   Positive yaw turns the face towards the image's right, positive pitch tilts it up,
+ *   positive roll tilts it clockwise in the image.
+ */
+export function estimateHeadPose(landmarks) {
+  if (!landmarks || !landmarks.positions || landmarks.positions.length < 68) return null;
+
+  const pts = MODEL_POINTS.map(function(m) {
+    const p = landmarks.positions[m.index];
+    return { X: [m.x, m.y, m.z], u: p.x, v: -p.y }; // flip image y so both spaces are y-up
+  });
+
+  // Centre both point sets so the translation drops out
+  const n = pts.length;
+  const mean = pts.reduce(function(acc, p) {
+    return { X: [acc.X[0] + p.X[0] / n, acc.X[1] + p.X[1] / n, acc.X[2] + p.X[2] / n], u: acc.u + p.u / n, v: acc.v + p.v / n };
+  }, { X: [0, 0, 0], u: 0, v: 0 });
+
+  // Least squares for the 2x3 projection: M = (x X^T)(X X^T)^-1
+  const XXt = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const uXt = [0, 0, 0];
+  const vXt = [0, 0, 0];
+  pts.forEach(function(p) {
+    const X = [p.X[0] - mean.X[0], p.X[1] - mean.X[1], p.X[2] - mean.X[2]];
+    const u = p.u - mean.u;
+    const v = p.v - mean.v;
+    for (let i = 0; i < 3; i++) {
+      uXt[i] += u * X[i];
+      vXt[i] += v * X[i];
+      for (let j = 0; j < 3; j++) XXt[i][j] += X[i] * X[j];
+    }
+  });
+
+  const inv = invert3x3(XXt);
+  if (!inv) return null;
+  const r1 = multiplyRow(uXt, inv);
+  const r2 = multiplyRow(vXt, inv);
+
+  // Orthonormalise the two projected axes into a rotation matrix
+  const a = normalize(r1);
+  const b = normalize(subtract(r2, scale(a, dot(r2, a))));
+  if (!a || !b) return null;
+  const c = cross(a, b);
+
+  // R = Rz * Ry * Rx; pitch and roll are negated to match the conventions documented above
+  const toDeg = 180 / Math.PI;
+  const yaw = Math.asin(Math.max(-1, Math.min(1, -c[0]))) * toDeg;
+  const pitch = -Math.atan2(c[1], c[2]) * toDeg;
+  const roll = -Math.atan2(b[0], a[0]) * toDeg;
+
+  return { yaw: yaw, pitch: pitch, roll: roll };
+}
+
+/**
+ * Largest of |yaw| and |pitch| - how far the face is turned away from the camera
+ * @param {{yaw: number, pitch: number}} pose - Head pose
+ * @returns {number} Angle in degrees
+ */
+export function headTurnAngle(pose) {
+  return pose ? Math.max(Math.abs(pose.yaw), Math.abs(pose.pitch)) : 0;
+}
+
+/**
+ * Format a pose for tooltips and result details
+ * @param {{yaw: number, pitch: number, roll: number}} pose - Head pose
+ * @returns {string} e.g. "yaw 12°, pitch -4°, roll 3°"
+ */
+export function formatPose(pose) {
+  if (!pose) return 'unknown';
+  return 'yaw ' + Math.round(pose.yaw) + '°, pitch ' + Math.round(pose.pitch) + '°, roll ' + Math.round(pose.roll) + '°';
+}
+
+function invert3x3(m) {
+  const det =
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  if (Math.abs(det) < 1e-9) return null;
+
+  return [
+    [(m[1][1] * m[2][2] - m[1][2] * m[2][1]) / det, (m[0][2] * m[2][1] - m[0][1] * m[2][2]) / det, (m[0][1] * m[1][2] - m[0][2] * m[1][1]) / det],
+    [(m[1][2] * m[2][0] - m[1][0] * m[2][2]) / det, (m[0][0] * m[2][2] - m[0][2] * m[2][0]) / det, (m[0][2] * m[1][0] - m[0][0] * m[1][2]) / det],
+    [(m[1][0] * m[2][1] - m[1][1] * m[2][0]) / det, (m[0][1] * m[2][0] - m[0][0] * m[2][1]) / det, (m[0][0] * m[1][1] - m[0][1] * m[1][0]) / det]
+  ];
+}
+
+function multiplyRow(row, m) {
+  return [0, 1, 2].map(function(j) {
+    return row[0] * m[0][j] + row[1] * m[1][j] + row[2] * m[2][j];
+  });
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function scale(a, k) {
+  return [a[0] * k, a[1] * k, a[2] * k];
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(a) {
+  const len = Math.sqrt(dot(a, a));
+  return len > 1e-9 ? scale(a, 1 / len) : null;
+}
@@ -0,0 +1,190 @@
+// threshold-profiles.js - Named similarity and export threshold profiles, persisted to localStorage
+import { CONFIG } from './config.js';
+import { debug } from './utils.js';
+
+export const DEFAULT_PROFILE = 'Default';
+
+const THRESHOLD_KEYS = ['veryHigh', 'high', 'good', 'low'];
+
+// Values from config.js, captured before any profile is applied
+const defaultSettings = currentSettings();
+
+export const thresholdProfiles = {
+  profiles: {}, // User profiles: name -> settings
+  active: DEFAULT_PROFILE,
+
+  /**
+   * Restore user profiles from localStorage and apply the last active profile
+   */
+  load() {
+    if (typeof localStorage !== 'undefined') {
+      try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.thresholdProfiles.storageKey) || 'null');
+        if (stored) {
+          this.profiles = {};
+          Object.keys(stored.profiles || {}).forEach(function(name) {
+            this.profiles[name] = copySettings(stored.profiles[name]);
+          }, this);
+          this.active = stored.active || DEFAULT_PROFILE;
+        }
+      } catch (err) {
+        console.warn('Stored threshold profiles could not be read:', err.message);
+      }
+    }
+
+    if (!this.get(this.active)) this.active = DEFAULT_PROFILE;
+    applySettings(this.get(this.active));
+  },
+
+  /**
+   * Persist user profiles and the active profile name to localStorage
+   */
+  save() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(CONFIG.thresholdProfiles.storageKey, JSON.stringify({ profiles: this.profiles, active: this.active }));
+    } catch (err) {
+      console.warn('Threshold profiles could not be saved:', err.message);
+    }
+  },
+
+  /**
+   * Names of all profiles, built-in first
+   * @returns {Array<string>}
+   */
+  names() {
+    return [DEFAULT_PROFILE].concat(Object.keys(CONFIG.thresholdProfiles.presets), Object.keys(this.profiles));
+  },
+
+  /**
+   * Whether a profile ships with the app (and so cannot be overwritten or deleted)
+   * @param {string} name - Profile name
+   * @returns {boolean}
+   */
+  isBuiltIn(name) {
+    return name === DEFAULT_PROFILE || CONFIG.thresholdProfiles.presets.hasOwnProperty(name);
+  },
+
+  /**
+   * Settings of a profile
+   * @param {string} name - Profile name
+   * @returns {Object|null} Copy of the settings, or null if there is no such profile
+   */
+  get(name) {
+    const settings = name === DEFAULT_PROFILE
+      ? defaultSettings
+      : CONFIG.thresholdProfiles.presets[name] || this.profiles[name];
+    return settings ? copySettings(settings) : null;
+  },
+
+  /**
+   * Make a profile active and apply its thresholds
+   * @param {string} name - Profile name
+   * @returns {Object} Applied settings
+   */
+  activate(name) {
+    const settings = this.get(name);
+    if (!settings) throw new Error('Unknown threshold profile: ' + name);
+    this.active = name;
+    applySettings(settings);
+    this.save();
+    debug('Threshold profile', name, settings);
+    return settings;
+  },
+
+  /**
+   * Apply settings without saving them to a profile (e.g. while they are being edited)
+   * @param {Object} settings - Threshold settings
+   */
+  preview(settings) {
+    validateThresholdSettings(settings);
+    applySettings(settings);
+  },
+
+  /**
+   * Save settings as a user profile and make it active
+   * @param {string} name - Profile name
+   * @param {Object} settings - Threshold settings
+   * @throws {Error} When the name is empty or built in, or the settings are invalid
+   */
+  saveProfile(name, settings) {
+    name = (name || '').trim();
+    if (!name) throw new Error('Enter a profile name');
+    if (this.isBuiltIn(name)) throw new Error('"' + name + '" is a built-in profile - choose another name');
+    validateThresholdSettings(settings);
+
+    this.profiles[name] = copySettings(settings);
+    this.activate(name);
+  },
+
+  /**
+   * Delete a user profile; the default profile becomes active if it was the active one
+   * @param {string} name - Profile name
+   */
+  deleteProfile(name) {
+    if (this.isBuiltIn(name)) throw new Error('Built-in profiles cannot be deleted');
+    delete this.profiles[name];
+    if (this.active === name) {
+      this.activate(DEFAULT_PROFILE);
+    } else {
+      this.save();
+    }
+  }
+};
+
+/**
+ * Threshold settings currently in effect
+ * @returns {{thresholds: Object<string, Object>, matchThreshold: number, zipThresholds: Array<number>}}
+ *   thresholds holds one {veryHigh, high, good, low} set per distance metric
+ */
+export function currentSettings() {
+  return copySettings({
+    thresholds: CONFIG.similarity.thresholds,
+    matchThreshold: CONFIG.export.matchThreshold,
+    zipThresholds: CONFIG.export.zipThresholds
+  });
+}
+
+/**
+ * Check that threshold settings are usable
+ * @param {Object} settings - Threshold settings
+ * @throws {Error} Describing the first problem found
+ */
+export function validateThresholdSettings(settings) {
+  Object.keys(settings.thresholds).forEach(function(metric) {
+    const t = settings.thresholds[metric];
+    THRESHOLD_KEYS.forEach(function(key) {
+      if (typeof t[key] !== 'number' || isNaN(t[key]) || t[key] <= 0 || t[key] > 2) {
+        throw new Error('Distance thresholds must be numbers between 0 and 2');
+      }
+    });
+    if (!(t.veryHigh < t.high && t.high < t.good && t.good < t.low)) {
+      throw new Error('Distance thresholds must increase: very high < high < good < low');
+    }
+  });
+
+  const percentages = [settings.matchThreshold].concat(settings.zipThresholds);
+  if (settings.zipThresholds.length === 0 || percentages.some(function(p) { return typeof p !== 'number' || isNaN(p) || p < 0 || p > 100; })) {
+    throw new Error('Export thresholds must be percentages between 0 and 100');
+  }
+}
+
+function applySettings(settings) {
+  Object.keys(settings.thresholds).forEach(function(metric) {
+    CONFIG.similarity.thresholds[metric] = Object.assign({}, settings.thresholds[metric]);
+  });
+  CONFIG.export.matchThreshold = settings.matchThreshold;
+  CONFIG.export.zipThresholds = settings.zipThresholds.slice();
+}
+
+function copySettings(settings) {
+  const thresholds = {};
+  Object.keys(settings.thresholds).forEach(function(metric) {
+    thresholds[metric] = Object.assign({}, settings.thresholds[metric]);
+  });
+  return {
+    thresholds: thresholds,
+    matchThreshold: settings.matchThreshold,
+    zipThresholds: settings.zipThresholds.slice()
+  };
+}
@@ -1,6 +1,7 @@
 // ui.js - UI utilities for canvas and DOM manipulation
 import { CONFIG } from './config.js';
-import { createElementFromHTML } from './utils.js';
+import { createElementFromHTML, clamp } from './utils.js';
+import { formatPose } from './pose.js';
 
 /**
  * Create a display canvas and draw image on it (downscaled if needed)
@@ -38,9 +39,10 @@ export function createCanvasForImage(img, maxW = 600, maxH = 400) {
  * @param {string} color - Border color
  * @param {HTMLCanvasElement} canvas - Canvas element
  * @param {Object} quality - Optional quality score
+ * @param {Object} pose - Optional head pose {yaw, pitch, roll}
  * @returns {HTMLDivElement} The created face box element
  */
-export function placeFaceBox(wrapper, box, index, labelText, color, canvas, quality = null) {
+export function placeFaceBox(wrapper, box, index, labelText, color, canvas, quality = null, pose = null) {
   // Account for CSS scaling
   const cssScale = canvas ? (canvas.clientWidth / canvas.width || 1) : 1;
 
@@ -59,25 +61,230 @@ export function placeFaceBox(wrapper, box, index, labelText, color, canvas, qual
 
   // Add tooltip with quality information
   if (quality !== null) {
-    div.title = `Face ${index + 1}\nQuality: ${quality}%\nClick to toggle selection`;
+    div.title = `Face ${index + 1}\nQuality: ${quality}%` +
+      (pose ? `\nPose: ${formatPose(pose)}` : '') +
+      '\nClick to toggle selection';
   }
 
   wrapper.appendChild(div);
   return div;
 }
 
+/**
+ * Mark a face box with a warning badge
+ * @param {HTMLElement} faceBox - Face box from placeFaceBox
+ * @param {string} message - Explanation shown on hover and added to the box tooltip
+ */
+export function flagFaceBox(faceBox, message) {
+  faceBox.classList.add('face-flagged');
+  const badge = document.createElement('div');
+  badge.className = 'face-warning';
+  badge.textContent = '⚠️';
+  badge.title = message;
+  faceBox.appendChild(badge);
+  faceBox.title = (faceBox.title ? faceBox.title + '\n' : '') + '⚠️ ' + message;
+}
+
+/**
+ * Add delete, move and resize controls to a face box
+ * @param {HTMLElement} faceBox - Face box from placeFaceBox
+ * @param {HTMLCanvasElement} canvas - Canvas the box is drawn over
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onDelete - Called when the delete button is clicked
+ * @param {Function} handlers.onChange - Called with the moved or resized box in canvas pixels {x, y, width, height}
+ */
+export function makeFaceBoxEditable(faceBox, canvas, handlers) {
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'face-delete-btn';
+  deleteBtn.textContent = '×';
+  deleteBtn.title = 'Not a face - remove this detection';
+  deleteBtn.addEventListener('click', function(e) {
+    e.stopPropagation();
+    handlers.onDelete();
+  });
+  faceBox.appendChild(deleteBtn);
+
+  const finish = function() {
+    const cssScale = canvas.clientWidth / canvas.width || 1;
+    handlers.onChange({
+      x: faceBox.offsetLeft / cssScale,
+      y: faceBox.offsetTop / cssScale,
+      width: faceBox.offsetWidth / cssScale,
+      height: faceBox.offsetHeight / cssScale
+    });
+  };
+
+  addDragHandle(faceBox, 'face-move-handle', 'Drag to move, then the face is re-analysed', function(start, dx, dy) {
+    faceBox.style.left = (start.left + dx) + 'px';
+    faceBox.style.top = (start.top + dy) + 'px';
+  }, finish);
+
+  addDragHandle(faceBox, 'face-resize-handle', 'Drag to resize, then the face is re-analysed', function(start, dx, dy) {
+    faceBox.style.width = Math.max(10, start.width + dx) + 'px';
+    faceBox.style.height = Math.max(10, start.height + dy) + 'px';
+  }, finish);
+}
+
+/**
+ * Add a draggable handle to a face box
+ * @param {HTMLElement} faceBox - Face box the handle belongs to
+ * @param {string} className - Handle class
+ * @param {string} title - Tooltip
+ * @param {Function} onDrag - Called with (start box in CSS pixels {left, top, width, height}, dx, dy) while dragging
+ * @param {Function} onDone - Called when the drag ends
+ */
+function addDragHandle(faceBox, className, title, onDrag, onDone) {
+  const handle = document.createElement('div');
+  handle.className = className;
+  handle.title = title;
+  faceBox.appendChild(handle);
+
+  let start = null;
+
+  handle.addEventListener('pointerdown', function(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    start = {
+      x: e.clientX,
+      y: e.clientY,
+      left: faceBox.offsetLeft,
+      top: faceBox.offsetTop,
+      width: faceBox.offsetWidth,
+      height: faceBox.offsetHeight
+    };
+    faceBox.classList.add('resizing');
+    handle.setPointerCapture(e.pointerId);
+  });
+
+  handle.addEventListener('pointermove', function(e) {
+    if (!start) return;
+    onDrag(start, e.clientX - start.x, e.clientY - start.y);
+  });
+
+  handle.addEventListener('pointerup', function() {
+    if (!start) return;
+    start = null;
+    faceBox.classList.remove('resizing');
+    onDone();
+  });
+}
+
+/**
+ * Add a "mark face" button to an image wrapper that lets the user drag a face box on its canvas
+ * @param {HTMLElement} wrapper - Container holding the display canvas
+ * @param {Function} onDraw - Called with the drawn box in canvas pixels {x, y, width, height}
+ * @returns {HTMLButtonElement} The toggle button
+ */
+export function enableFaceDrawing(wrapper, onDraw) {
+  const button = document.createElement('button');
+  button.className = 'mark-face-btn';
+  button.textContent = '✚ Face';
+  button.title = 'Drag a box around a face the detector missed';
+  wrapper.appendChild(button);
+
+  let start = null;
+  let rect = null;
+
+  // The canvas can be replaced (e.g. after rotation), so look it up on every gesture
+  const getCanvas = function() { return wrapper.querySelector('canvas'); };
+
+  const toCanvasPoint = function(e, canvas) {
+    const bounds = canvas.getBoundingClientRect();
+    const cssScale = canvas.clientWidth / canvas.width || 1;
+    return {
+      x: clamp((e.clientX - bounds.left) / cssScale, 0, canvas.width),
+      y: clamp((e.clientY - bounds.top) / cssScale, 0, canvas.height)
+    };
+  };
+
+  const boxFrom = function(a, b) {
+    return {
+      x: Math.min(a.x, b.x),
+      y: Math.min(a.y, b.y),
+      width: Math.abs(b.x - a.x),
+      height: Math.abs(b.y - a.y)
+    };
+  };
+
+  button.addEventListener('click', function(e) {
+    e.stopPropagation();
+    const active = wrapper.classList.toggle('drawing-face');
+    button.classList.toggle('active', active);
+  });
+
+  wrapper.addEventListener('pointerdown', function(e) {
+    const canvas = getCanvas();
+    if (!canvas || !wrapper.classList.contains('drawing-face') || e.button !== 0 || e.target.closest('button')) return;
+    e.preventDefault();
+    start = toCanvasPoint(e, canvas);
+    rect = document.createElement('div');
+    rect.className = 'face-draw-rect';
+    wrapper.appendChild(rect);
+    wrapper.setPointerCapture(e.pointerId);
+  });
+
+  wrapper.addEventListener('pointermove', function(e) {
+    if (!start) return;
+    const canvas = getCanvas();
+    const cssScale = canvas.clientWidth / canvas.width || 1;
+    const box = boxFrom(start, toCanvasPoint(e, canvas));
+    rect.style.left = (box.x * cssScale) + 'px';
+    rect.style.top = (box.y * cssScale) + 'px';
+    rect.style.width = (box.width * cssScale) + 'px';
+    rect.style.height = (box.height * cssScale) + 'px';
+  });
+
+  const finish = function(e) {
+    if (!start) return;
+    const box = boxFrom(start, toCanvasPoint(e, getCanvas()));
+    start = null;
+    rect.remove();
+    rect = null;
+    wrapper.classList.remove('drawing-face');
+    button.classList.remove('active');
+
+    // Ignore clicks and accidental tiny drags
+    if (box.width >= 8 && box.height >= 8) onDraw(box);
+  };
+  wrapper.addEventListener('pointerup', finish);
+  wrapper.addEventListener('pointercancel', function() {
+    if (rect) rect.remove();
+    start = null;
+    rect = null;
+  });
+
+  return button;
+}
+
+/**
+ * Map a face box from original image space into display canvas space
+ * @param {Object} box - Face bounding box in image pixels {x, y, width, height}
+ * @param {number} scale - Display scale (canvas.width / image.width)
+ * @returns {{x: number, y: number, width: number, height: number}} Box in canvas pixels
+ */
+export function toDisplayBox(box, scale) {
+  return {
+    x: box.x * scale,
+    y: box.y * scale,
+    width: box.width * scale,
+    height: box.height * scale
+  };
+}
+
 /**
  * Draw facial landmarks on canvas for debugging
  * @param {HTMLCanvasElement} canvas - Canvas to draw on
- * @param {Object} landmarks - Landmarks from face-api
+ * @param {Object} landmarks - Landmarks from face-api, in image pixels
+ * @param {number} scale - Display scale (canvas.width / image.width)
  */
-export function drawLandmarksOnCanvas(canvas, landmarks) {
+export function drawLandmarksOnCanvas(canvas, landmarks, scale = 1) {
   const ctx = canvas.getContext('2d');
 
   ctx.save();
   landmarks.positions.forEach((p, i) => {
     ctx.beginPath();
-    ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+    ctx.arc(p.x * scale, p.y * scale, 2, 0, Math.PI * 2);
 
     // Color code by feature
     if (i < 17) ctx.fillStyle = '#fb7185';         // jaw
@@ -25,6 +25,26 @@ export function clamp(v, a, b) {
   return Math.max(a, Math.min(b, v));
 }
 
+/**
+ * Calculate Intersection over Union (IoU) between two bounding boxes
+ * @param {Object} box1 - First bounding box {x, y, width, height}
+ * @param {Object} box2 - Second bounding box {x, y, width, height}
+ * @returns {number} IoU score (0-1)
+ */
+export function calculateIOU(box1, box2) {
+  const x1 = Math.max(box1.x, box2.x);
+  const y1 = Math.max(box1.y, box2.y);
+  const x2 = Math.min(box1.x + box1.width, box2.x + box2.width);
+  const y2 = Math.min(box1.y + box1.height, box2.y + box2.height);
+
+  const intersectionArea = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const box1Area = box1.width * box1.height;
+  const box2Area = box2.width * box2.height;
+  const unionArea = box1Area + box2Area - intersectionArea;
+
+  return unionArea > 0 ? intersectionArea / unionArea : 0;
+}
+
 /**
  * Create an element from HTML string
  * @param {string} html - HTML string
@@ -38,10 +58,10 @@ export function createElementFromHTML(html) {
 
 /**
  * Downscale an image to fit within max dimensions and return canvas
- * @param {HTMLImageElement} img - Source image
+ * @param {HTMLImageElement|ImageBitmap} img - Source image
  * @param {number} maxW - Maximum width
  * @param {number} maxH - Maximum height
- * @returns {HTMLCanvasElement} Canvas with downscaled image
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas with downscaled image
  */
 export function downscaleImageToCanvas(img, maxW, maxH) {
   maxW = maxW || 800;
@@ -50,14 +70,50 @@ export function downscaleImageToCanvas(img, maxW, maxH) {
   const ratio = Math.min(1, Math.min(maxW / img.width, maxH / img.height));
   const w = Math.round(img.width * ratio);
   const h = Math.round(img.height * ratio);
-  const canvas = document.createElement('canvas');
-  canvas.width = w;
-  canvas.height = h;
+  const canvas = createCanvas(w, h);
   const ctx = canvas.getContext('2d', { willReadFrequently: true }); // ← PERFORMANCE FIX
   ctx.drawImage(img, 0, 0, w, h);
   return canvas;
 }
 
+/**
+ * Create a canvas that works both in the page and inside a Web Worker
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {HTMLCanvasElement|OffscreenCanvas} New canvas
+ */
+export function createCanvas(width, height) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async (item, index) => void
+ * @returns {Promise<void>}
+ */
+export async function runWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const lane = async function() {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  };
+  const lanes = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    lanes.push(lane());
+  }
+  await Promise.all(lanes);
+}
+
 /**
  * Format a file size in bytes to human-readable string
  * @param {number} bytes - File size in bytes
@@ -89,3 +145,42 @@ export function debounce(func, wait) {
     timeout = setTimeout(later, wait);
   };
 }
+
+/**
+ * Load a global script library, trying each source in order
+ * @param {{global: string, sources: Array<string>}} library - Library config from CONFIG.libraries
+ * @returns {Promise<string>} The source the library was loaded from
+ */
+export async function loadLibrary(library) {
+  if (typeof window[library.global] !== 'undefined') return 'preloaded';
+
+  for (const src of library.sources) {
+    try {
+      await loadScript(src);
+      if (typeof window[library.global] !== 'undefined') return src;
+    } catch (e) {
+      debug('Could not load ' + src, e);
+    }
+  }
+
+  throw new Error(library.global + ' could not be loaded from ' + library.sources.join(' or '));
+}
+
+/**
+ * Inject a classic script tag and wait for it to load
+ * @param {string} src - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+  return new Promise(function(resolve, reject) {
+    const script = document.createElement('script');
+    if (/^https?:/.test(src)) script.crossOrigin = 'anonymous';
+    script.onload = function() { resolve(); };
+    script.onerror = function() {
+      script.remove();
+      reject(new Error('Failed to load script ' + src));
+    };
+    script.src = src;
+    document.head.appendChild(script);
+  });
+}